@@ -4,13 +4,15 @@
  * that the Lichess Tools extension would add
  */
 
-const CLOUD_FUNCTION_URL = 'https://YOUR-REGION-YOUR-PROJECT.cloudfunctions.net/fetchLichessGame';
+// Uses CLOUD_FUNCTION_URL and the fetch helpers from GoogleAppScript.js
+// (declaring the constant again here would fail when both files share a project)
 
 /**
  * Main function to fetch game with Lichess Tools data
+ * Pass `rawData` to organize data that was already fetched (e.g. by a batch)
  */
-function fetchLichessToolsData(gameId) {
-  const rawData = fetchLichessGameWithExtensions(gameId);
+function fetchLichessToolsData(gameId, rawData) {
+  rawData = rawData || fetchLichessGameWithExtensions(gameId);
   
   if (!rawData) {
     return null;
@@ -35,69 +37,52 @@ function fetchLichessToolsData(gameId) {
  * Extract basic game information
  */
 function extractBasicInfo(data) {
-  const pageInit = data.pageInitData;
-  if (!pageInit || !pageInit.game) return null;
-  
-  const game = pageInit.game;
+  const game = data.game;
+  if (!game) return null;
   
   return {
     id: game.id,
-    variant: game.variant?.key || 'standard',
+    variant: game.variant,
     speed: game.speed,
     rated: game.rated,
     initialFen: game.initialFen,
-    status: game.status?.name,
+    status: game.status,
     winner: game.winner,
+    result: game.result,
     startedAt: game.createdAt,
     lastMoveAt: game.lastMoveAt
   };
 }
 
 /**
- * Extract moves with timestamps if available
+ * Extract moves with clock times and evaluations
+ * Moves are replayed on the server, so numbering is correct from any
+ * start position and UCI, FEN and flags are included
  */
 function extractMoves(data) {
-  const moves = [];
-  
-  // From page init data
-  if (data.pageInitData?.game?.moves) {
-    const moveString = data.pageInitData.game.moves;
-    const moveArray = moveString.split(' ');
-    moveArray.forEach((move, index) => {
-      moves.push({
-        number: Math.floor(index / 2) + 1,
-        color: index % 2 === 0 ? 'white' : 'black',
-        move: move,
-        san: move
-      });
-    });
-  }
-  
-  // Add clock times if available
-  if (data.pageInitData?.game?.clocks) {
-    const clocks = data.pageInitData.game.clocks;
-    clocks.forEach((clock, index) => {
-      if (moves[index]) {
-        moves[index].clockSeconds = clock;
-        moves[index].clockTime = formatTime(clock);
-      }
-    });
-  }
-  
-  // Add analysis from DOM if available
-  if (data.dom?.evaluations) {
-    data.dom.evaluations.forEach((eval, index) => {
-      if (moves[index]) {
-        moves[index].evaluation = eval.eval;
-      }
-    });
-  }
-  
-  return moves;
+  if (!data.game) return [];
+  
+  return data.game.moves.map(ply => ({
+    number: ply.moveNumber,
+    color: ply.color,
+    move: ply.san,
+    san: ply.san,
+    uci: ply.uci,
+    fen: ply.fen,
+    check: ply.check,
+    capture: ply.capture,
+    castle: ply.castle,
+    promotion: ply.promotion,
+    materialBalance: ply.material ? ply.material.balance : null,
+    clockSeconds: ply.clockSeconds,
+    clockTime: ply.clockSeconds !== null ? formatTime(ply.clockSeconds) : null,
+    evaluation: ply.eval ? (ply.eval.mate !== null ? `#${ply.eval.mate}` : ply.eval.cp / 100) : null
+  }));
 }
 
 /**
  * Extract analysis data
+ * localStorage is only in the response when the advanced function is called with raw=true
  */
 function extractAnalysis(data) {
   const analysis = {
@@ -106,19 +91,20 @@ function extractAnalysis(data) {
     accuracy: {}
   };
   
-  if (data.pageInitData?.analysis) {
+  if (data.game?.hasAnalysis) {
     analysis.available = true;
-    analysis.computerAnalysis = data.pageInitData.analysis;
+    analysis.computerAnalysis = data.game.moves.map(ply => ply.eval);
   }
   
   // Look for accuracy data that extensions might add
-  if (data.localStorage) {
-    Object.keys(data.localStorage).forEach(key => {
+  const localStorage = data.raw?.localStorage;
+  if (localStorage) {
+    Object.keys(localStorage).forEach(key => {
       if (key.includes('accuracy') || key.includes('analysis')) {
         try {
-          analysis.accuracy[key] = JSON.parse(data.localStorage[key]);
+          analysis.accuracy[key] = JSON.parse(localStorage[key]);
         } catch (e) {
-          analysis.accuracy[key] = data.localStorage[key];
+          analysis.accuracy[key] = localStorage[key];
         }
       }
     });
@@ -131,36 +117,14 @@ function extractAnalysis(data) {
  * Extract player information
  */
 function extractPlayerInfo(data) {
-  const players = {
-    white: null,
-    black: null
-  };
-  
-  if (data.pageInitData?.game?.players) {
-    const gamePlayers = data.pageInitData.game.players;
-    
-    if (gamePlayers.white) {
-      players.white = {
-        name: gamePlayers.white.name || gamePlayers.white.user?.name,
-        rating: gamePlayers.white.rating,
-        ratingDiff: gamePlayers.white.ratingDiff,
-        userId: gamePlayers.white.user?.id,
-        title: gamePlayers.white.user?.title
-      };
-    }
-    
-    if (gamePlayers.black) {
-      players.black = {
-        name: gamePlayers.black.name || gamePlayers.black.user?.name,
-        rating: gamePlayers.black.rating,
-        ratingDiff: gamePlayers.black.ratingDiff,
-        userId: gamePlayers.black.user?.id,
-        title: gamePlayers.black.user?.title
-      };
-    }
+  if (!data.game) {
+    return { white: null, black: null };
   }
   
-  return players;
+  return {
+    white: data.game.players.white,
+    black: data.game.players.black
+  };
 }
 
 /**
@@ -169,43 +133,68 @@ function extractPlayerInfo(data) {
 function extractExtensionSpecificData(data) {
   const extensionData = {
     found: false,
+    loaded: [],
     tools: {},
     settings: {},
     enhancements: []
   };
   
-  // Check for Lichess Tools specific keys
-  if (data.extensionData) {
-    Object.keys(data.extensionData).forEach(key => {
+  // Extensions actually loaded in the browser, with their chrome.storage.local
+  if (data.extensionData?.loaded?.length > 0) {
+    extensionData.found = true;
+    data.extensionData.loaded.forEach(extension => {
+      extensionData.loaded.push({
+        name: extension.name,
+        version: extension.version
+      });
+      if (extension.storage) {
+        extensionData.settings[extension.name] = extension.storage;
+      }
+    });
+  }
+  
+  // Elements the loaded extensions added to the page
+  if (data.extensionData?.injectedDom?.length > 0) {
+    extensionData.enhancements.push({
+      type: 'injectedDom',
+      data: data.extensionData.injectedDom
+    });
+  }
+  
+  // Check window properties for Lichess Tools specific keys
+  if (data.extensionData?.window) {
+    Object.keys(data.extensionData.window).forEach(key => {
       const keyLower = key.toLowerCase();
       if (keyLower.includes('lichesstools') || keyLower.includes('lichess-tools')) {
         extensionData.found = true;
-        extensionData.tools[key] = data.extensionData[key];
+        extensionData.tools[key] = data.extensionData.window[key];
       }
     });
   }
   
-  // Check localStorage for Lichess Tools settings
-  if (data.localStorage) {
-    Object.keys(data.localStorage).forEach(key => {
+  // Check localStorage for Lichess Tools settings (advanced function with raw=true)
+  const localStorage = data.raw?.localStorage;
+  if (localStorage) {
+    Object.keys(localStorage).forEach(key => {
       if (key.includes('LichessTools') || key.includes('lichess-tools')) {
         extensionData.found = true;
         try {
-          extensionData.settings[key] = JSON.parse(data.localStorage[key]);
+          extensionData.settings[key] = JSON.parse(localStorage[key]);
         } catch (e) {
-          extensionData.settings[key] = data.localStorage[key];
+          extensionData.settings[key] = localStorage[key];
         }
       }
     });
   }
   
-  // Check for enhanced DOM elements
-  if (data.dom) {
-    Object.keys(data.dom).forEach(key => {
+  // Check for enhanced DOM elements (advanced function with raw=true)
+  const dom = data.raw?.dom;
+  if (dom) {
+    Object.keys(dom).forEach(key => {
       if (key.includes('tool') || key.includes('extension') || key.includes('enhanced')) {
         extensionData.enhancements.push({
           type: key,
-          data: data.dom[key]
+          data: dom[key]
         });
       }
     });
@@ -225,16 +214,16 @@ function extractTiming(data) {
     totalGameTime: null
   };
   
-  if (data.pageInitData?.game?.clock) {
-    const clock = data.pageInitData.game.clock;
+  if (data.game?.clock) {
+    const clock = data.game.clock;
     timing.clockInitial = clock.initial;
     timing.clockIncrement = clock.increment;
     timing.timeControl = `${clock.initial / 60}+${clock.increment}`;
   }
   
-  if (data.pageInitData?.game?.createdAt && data.pageInitData?.game?.lastMoveAt) {
-    const start = new Date(data.pageInitData.game.createdAt);
-    const end = new Date(data.pageInitData.game.lastMoveAt);
+  if (data.game?.createdAt && data.game?.lastMoveAt) {
+    const start = new Date(data.game.createdAt);
+    const end = new Date(data.game.lastMoveAt);
     timing.totalGameTime = Math.floor((end - start) / 1000); // in seconds
   }
   
@@ -251,8 +240,8 @@ function extractOpening(data) {
     ply: null
   };
   
-  if (data.pageInitData?.game?.opening) {
-    const op = data.pageInitData.game.opening;
+  if (data.game?.opening) {
+    const op = data.game.opening;
     opening.name = op.name;
     opening.eco = op.eco;
     opening.ply = op.ply;
@@ -266,21 +255,67 @@ function extractOpening(data) {
  */
 function formatTime(seconds) {
   const mins = Math.floor(seconds / 60);
-  const secs = seconds % 60;
+  const secs = Math.floor(seconds % 60);
   return `${mins}:${secs.toString().padStart(2, '0')}`;
 }
 
+// Columns written by writeOrganizedGamesToSheets, one header row per sheet.
+// Columns are found by header, so a new one is added on the right and
+// existing data does not shift. The first column identifies the game.
+const BASIC_INFO_HEADERS = ['Game ID', 'Variant', 'Speed', 'Rated', 'Status', 'Winner', 'Time Control', 'Opening', 'ECO'];
+const MOVES_HEADERS = ['Game ID', 'Move #', 'Color', 'Move', 'Clock', 'Eval'];
+const PLAYERS_HEADERS = ['Game ID', 'Color', 'Name', 'Rating', 'Rating Diff'];
+
+// Number formats applied to the written ranges when formatting is on:
+// clocks as durations (written as fractions of a day) and rating changes with a sign
+const MOVES_FORMATS = { 'Clock': '[m]:ss' };
+const PLAYERS_FORMATS = { 'Rating Diff': '+0;-0;0' };
+
 /**
  * Write organized data to sheet
+ * A game that is already in the sheets has its rows replaced, so re-running
+ * an import does not duplicate anything.
  */
-function writeOrganizedDataToSheet(gameId) {
-  const data = fetchLichessToolsData(gameId);
+function writeOrganizedDataToSheet(gameId, rawData, format = true) {
+  rawData = rawData || fetchLichessGameWithExtensions(gameId);
   
-  if (!data) {
+  if (!rawData) {
     Logger.log('Failed to fetch game data');
     return;
   }
   
+  writeOrganizedGamesToSheets({ [gameId]: rawData }, format);
+}
+
+/**
+ * Write many games to the "Basic Info", "Moves" and "Players" sheets.
+ * Rows are built in memory and each sheet is written with one setValues
+ * call for the new games (plus one per run of adjacent games being replaced),
+ * instead of a call per cell.
+ * @param {object} games - Map of gameId to game document, as returned by fetchLichessGamesBatch
+ * @param {boolean} format - Apply MOVES_FORMATS and PLAYERS_FORMATS (default true)
+ * @returns {object} { written, replaced } game counts
+ */
+function writeOrganizedGamesToSheets(games, format = true) {
+  const basicRows = {};
+  const moveRows = {};
+  const playerRows = {};
+  
+  Object.keys(games).forEach(gameId => {
+    const data = fetchLichessToolsData(gameId, games[gameId]);
+    if (!data || !data.basicInfo) {
+      Logger.log(`Skipping ${gameId}: no game data`);
+      return;
+    }
+    
+    basicRows[gameId] = buildBasicInfoRows(data.basicInfo, data.timing, data.opening);
+    moveRows[gameId] = buildMoveRows(data.moves, gameId, format);
+    playerRows[gameId] = buildPlayerRows(data.playerInfo, gameId);
+  });
+  
+  const gameIds = Object.keys(basicRows);
+  if (gameIds.length === 0) return { written: 0, replaced: 0 };
+  
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   
   // Create or get sheets
@@ -288,92 +323,297 @@ function writeOrganizedDataToSheet(gameId) {
   let movesSheet = ss.getSheetByName('Moves') || ss.insertSheet('Moves');
   let playersSheet = ss.getSheetByName('Players') || ss.insertSheet('Players');
   
-  // Write basic info
-  writeBasicInfoToSheet(basicSheet, data.basicInfo, data.timing, data.opening);
+  const replaced = upsertGameRows(basicSheet, BASIC_INFO_HEADERS, basicRows);
+  upsertGameRows(movesSheet, MOVES_HEADERS, moveRows, format ? MOVES_FORMATS : null);
+  upsertGameRows(playersSheet, PLAYERS_HEADERS, playerRows, format ? PLAYERS_FORMATS : null);
   
-  // Write moves
-  writeMovesToSheet(movesSheet, data.moves, gameId);
-  
-  // Write player info
-  writePlayersToSheet(playersSheet, data.playerInfo, gameId);
-  
-  Logger.log('Data written to sheets successfully!');
+  Logger.log(`Data written to sheets: ${gameIds.length} games, ${replaced} replaced`);
+  return { written: gameIds.length, replaced: replaced };
 }
 
-function writeBasicInfoToSheet(sheet, basicInfo, timing, opening) {
-  const row = sheet.getLastRow() + 1;
-  
-  sheet.getRange(row, 1).setValue(basicInfo.id);
-  sheet.getRange(row, 2).setValue(basicInfo.variant);
-  sheet.getRange(row, 3).setValue(basicInfo.speed);
-  sheet.getRange(row, 4).setValue(basicInfo.rated ? 'Rated' : 'Casual');
-  sheet.getRange(row, 5).setValue(basicInfo.status);
-  sheet.getRange(row, 6).setValue(basicInfo.winner || 'Draw');
-  sheet.getRange(row, 7).setValue(timing.timeControl);
-  sheet.getRange(row, 8).setValue(opening.name);
-  sheet.getRange(row, 9).setValue(opening.eco);
+function buildBasicInfoRows(basicInfo, timing, opening) {
+  return [[
+    basicInfo.id,
+    basicInfo.variant,
+    basicInfo.speed,
+    basicInfo.rated ? 'Rated' : 'Casual',
+    basicInfo.status,
+    basicInfo.winner || 'Draw',
+    timing.timeControl,
+    opening.name,
+    opening.eco
+  ]];
 }
 
-function writeMovesToSheet(sheet, moves, gameId) {
-  if (moves.length === 0) return;
-  
-  const startRow = sheet.getLastRow() + 1;
-  
-  moves.forEach((move, index) => {
-    const row = startRow + index;
-    sheet.getRange(row, 1).setValue(gameId);
-    sheet.getRange(row, 2).setValue(move.number);
-    sheet.getRange(row, 3).setValue(move.color);
-    sheet.getRange(row, 4).setValue(move.san);
-    sheet.getRange(row, 5).setValue(move.clockTime || '');
-    sheet.getRange(row, 6).setValue(move.evaluation || '');
+/**
+ * With `format`, clocks are written as durations (days) for the [m]:ss format,
+ * otherwise as "M:SS" text
+ */
+function buildMoveRows(moves, gameId, format) {
+  return moves.map(move => {
+    let clock = move.clockTime || '';
+    if (format) clock = move.clockSeconds !== null && move.clockSeconds !== undefined ? move.clockSeconds / 86400 : '';
+    
+    return [gameId, move.number, move.color, move.san, clock, move.evaluation || ''];
   });
 }
 
-function writePlayersToSheet(sheet, players, gameId) {
-  const row = sheet.getLastRow() + 1;
+function buildPlayerRows(players, gameId) {
+  const rows = [];
   
   // White player
   if (players.white) {
-    sheet.getRange(row, 1).setValue(gameId);
-    sheet.getRange(row, 2).setValue('White');
-    sheet.getRange(row, 3).setValue(players.white.name);
-    sheet.getRange(row, 4).setValue(players.white.rating);
-    sheet.getRange(row, 5).setValue(players.white.ratingDiff);
+    rows.push([gameId, 'White', players.white.name, players.white.rating, players.white.ratingDiff]);
   }
   
   // Black player
   if (players.black) {
-    sheet.getRange(row + 1, 1).setValue(gameId);
-    sheet.getRange(row + 1, 2).setValue('Black');
-    sheet.getRange(row + 1, 3).setValue(players.black.name);
-    sheet.getRange(row + 1, 4).setValue(players.black.rating);
-    sheet.getRange(row + 1, 5).setValue(players.black.ratingDiff);
+    rows.push([gameId, 'Black', players.black.name, players.black.rating, players.black.ratingDiff]);
   }
+  
+  return rows;
 }
 
 /**
- * Example: Analyze multiple games
+ * Make sure row 1 holds `headers` and return the column (1-based) of each.
+ * Missing headers go after the last used column. A sheet written before
+ * there were headers gets a header row inserted above its data (whose
+ * columns are in the original order, so they line up).
+ */
+function ensureHeaders(sheet, headers) {
+  const lastColumn = sheet.getLastColumn();
+  let existing = lastColumn > 0
+    ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0].map(String)
+    : [];
+  
+  if (sheet.getLastRow() > 0 && existing.indexOf(headers[0]) === -1) {
+    sheet.insertRowBefore(1);
+    existing = [];
+  }
+  
+  const missing = headers.filter(header => existing.indexOf(header) === -1);
+  if (missing.length > 0) {
+    sheet.getRange(1, existing.length + 1, 1, missing.length).setValues([missing]);
+    existing = existing.concat(missing);
+    sheet.setFrozenRows(1);
+  }
+  
+  const columns = {};
+  headers.forEach(header => {
+    columns[header] = existing.indexOf(header) + 1;
+  });
+  return columns;
+}
+
+/**
+ * Map of gameId to the row numbers whose `column` holds it, read in one call
+ */
+function findGameRows(sheet, column) {
+  const rowsByGame = {};
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) return rowsByGame;
+  
+  sheet.getRange(2, column, lastRow - 1, 1).getValues().forEach((value, index) => {
+    const gameId = String(value[0]);
+    (rowsByGame[gameId] = rowsByGame[gameId] || []).push(index + 2);
+  });
+  return rowsByGame;
+}
+
+/**
+ * Write rows (values in the order of `headers`) into a sheet width wide,
+ * starting at startRow. `current` holds the values already there, which
+ * columns outside `headers` keep.
  */
-function analyzeMultipleGames() {
-  const gameIds = [
-    'Bm5DQUPZ',
-    'GAME_ID_2',
-    'GAME_ID_3'
-  ];
-  
-  gameIds.forEach((gameId, index) => {
-    Logger.log(`Processing game ${index + 1}/${gameIds.length}: ${gameId}`);
+function writeRowBlock(sheet, startRow, width, headers, columns, rows, current, formats) {
+  const values = rows.map((row, index) => {
+    const line = current ? current[index] : new Array(width).fill('');
+    headers.forEach((header, column) => {
+      line[columns[header] - 1] = row[column] === null || row[column] === undefined ? '' : row[column];
+    });
+    return line;
+  });
+  sheet.getRange(startRow, 1, values.length, width).setValues(values);
+  
+  Object.keys(formats || {}).forEach(header => {
+    sheet.getRange(startRow, columns[header], values.length, 1).setNumberFormat(formats[header]);
+  });
+}
+
+/**
+ * Upsert the rows of many games (or other records keyed by the first
+ * column, such as study chapters). A game already in the sheet with as many
+ * rows as before is overwritten in place (adjacent games in one call);
+ * otherwise its old rows are deleted and it is added at the end with the new
+ * games, in a single setValues call.
+ * @param {object} rowsByGame - Map of gameId to rows (values in the order of `headers`)
+ * @param {object} formats - Optional map of header to number format
+ * @returns {number} How many of the games were already in the sheet
+ */
+function upsertGameRows(sheet, headers, rowsByGame, formats) {
+  const columns = ensureHeaders(sheet, headers);
+  const existing = findGameRows(sheet, columns[headers[0]]);
+  const width = sheet.getLastColumn();
+  
+  const inPlace = [];
+  const toDelete = [];
+  const toAppend = [];
+  let replaced = 0;
+  
+  Object.keys(rowsByGame).forEach(gameId => {
+    const rows = rowsByGame[gameId];
+    const found = existing[gameId] || [];
+    const contiguous = found.length > 0 && found[found.length - 1] - found[0] === found.length - 1;
+    if (found.length > 0) replaced++;
+    
+    if (contiguous && found.length === rows.length) {
+      inPlace.push({ startRow: found[0], rows: rows });
+    } else {
+      found.forEach(row => toDelete.push(row));
+      rows.forEach(row => toAppend.push(row));
+    }
+  });
+  
+  // Overwrite before deleting anything, while the row numbers still hold
+  inPlace.sort((a, b) => a.startRow - b.startRow);
+  const runs = [];
+  inPlace.forEach(block => {
+    const last = runs[runs.length - 1];
+    if (last && last.startRow + last.rows.length === block.startRow) {
+      last.rows = last.rows.concat(block.rows);
+    } else {
+      runs.push({ startRow: block.startRow, rows: block.rows.slice() });
+    }
+  });
+  runs.forEach(run => {
+    const current = sheet.getRange(run.startRow, 1, run.rows.length, width).getValues();
+    writeRowBlock(sheet, run.startRow, width, headers, columns, run.rows, current, formats);
+  });
+  
+  if (toDelete.length > 0) {
+    toDelete.sort((a, b) => a - b);
     
-    try {
-      writeOrganizedDataToSheet(gameId);
-      Utilities.sleep(2000); // Be nice to the API
-    } catch (error) {
-      Logger.log(`Error processing ${gameId}: ${error}`);
+    // A sheet cannot lose all its unfrozen rows, so keep a spare one
+    if (sheet.getMaxRows() - toDelete.length < 2) {
+      sheet.insertRowsAfter(sheet.getMaxRows(), 1);
     }
+    
+    // Bottom up, a contiguous run at a time
+    for (let end = toDelete.length - 1; end >= 0;) {
+      let begin = end;
+      while (begin > 0 && toDelete[begin - 1] === toDelete[begin] - 1) begin--;
+      sheet.deleteRows(toDelete[begin], end - begin + 1);
+      end = begin - 1;
+    }
+  }
+  
+  if (toAppend.length > 0) {
+    writeRowBlock(sheet, sheet.getLastRow() + 1, width, headers, columns, toAppend, null, formats);
+  }
+  
+  return replaced;
+}
+
+// Columns of the "Studies" sheet, one row per chapter (keyed by chapter URL)
+const STUDY_HEADERS = ['Chapter URL', 'Study', 'Chapter', 'White', 'Black', 'Result', 'Orientation',
+  'Plies', 'Variations', 'Comments', 'Shapes', 'Mainline', 'PGN'];
+
+// Google Sheets refuses cells longer than this
+const MAX_CELL_LENGTH = 50000;
+
+/**
+ * Write a study (or chapter, or broadcast round) to the "Studies" sheet,
+ * one row per chapter. Chapters already in the sheet are replaced, so
+ * re-running it keeps the sheet in step with the study.
+ * @param {string} study - Study ID, "studyId/chapterId", or a study or broadcast round URL
+ */
+function writeStudyToSheet(study) {
+  const data = fetchLichessStudy(study);
+  if (!data) {
+    Logger.log('Failed to fetch study');
+    return;
+  }
+  
+  const rowsByChapter = {};
+  data.study.chapters.forEach((chapter, index) => {
+    const key = chapter.url || `${data.study.url}/${chapter.id || index + 1}`;
+    const counts = countStudyLine(chapter.moves);
+    
+    rowsByChapter[key] = [[
+      key,
+      data.study.name,
+      chapter.name,
+      chapter.tags.White || '',
+      chapter.tags.Black || '',
+      chapter.result,
+      chapter.orientation,
+      chapter.moves.length,
+      counts.variations,
+      counts.comments + (chapter.comment ? 1 : 0),
+      counts.shapes + chapter.shapes.length,
+      formatStudyMainline(chapter.moves),
+      chapter.pgn.length > MAX_CELL_LENGTH ? chapter.pgn.slice(0, MAX_CELL_LENGTH - 3) + '...' : chapter.pgn
+    ]];
+  });
+  
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('Studies') || ss.insertSheet('Studies');
+  const replaced = upsertGameRows(sheet, STUDY_HEADERS, rowsByChapter);
+  
+  Logger.log(`${data.study.name}: ${Object.keys(rowsByChapter).length} chapters written (${replaced} replaced)`);
+}
+
+/**
+ * Variations, commented moves and shapes in a line and all its sub-variations
+ */
+function countStudyLine(line) {
+  const counts = { variations: 0, comments: 0, shapes: 0 };
+  line.forEach(move => {
+    if (move.comment) counts.comments++;
+    counts.shapes += move.shapes.length;
+    move.variations.forEach(variation => {
+      const inner = countStudyLine(variation);
+      counts.variations += 1 + inner.variations;
+      counts.comments += inner.comments;
+      counts.shapes += inner.shapes;
+    });
   });
+  return counts;
+}
+
+/**
+ * "1. e4 e5 2. Nf3" from mainline moves
+ */
+function formatStudyMainline(moves) {
+  return moves.map((move, index) => {
+    if (move.color === 'white') return `${move.moveNumber}. ${move.san}`;
+    return index === 0 ? `${move.moveNumber}... ${move.san}` : move.san;
+  }).join(' ');
+}
+
+/**
+ * Example: Analyze multiple games
+ * (for more games than fit in one execution, see GoogleAppScript-queue.js)
+ */
+function analyzeMultipleGames(username = 'YOUR_LICHESS_USERNAME') {
+  // A user's last 10 games (listUserGameIds is in GoogleAppScript.js)
+  const listing = listUserGameIds(username, { max: 10 });
+  if (!listing) {
+    Logger.log('Failed to list games');
+    return;
+  }
+  
+  const gameIds = listing.gameIds;
+  const { games, errors } = fetchLichessGamesBatch(gameIds);
+  
+  errors.forEach(error => {
+    Logger.log(`Skipping ${error.gameId}: ${error.code}`);
+  });
+  
+  // All games at once: one write per sheet instead of one per game
+  const { written, replaced } = writeOrganizedGamesToSheets(games);
   
-  Logger.log('Batch processing complete!');
+  Logger.log(`Batch processing complete! ${written} games written (${replaced} replaced)`);
 }
 
 /**
@@ -0,0 +1,258 @@
+/**
+ * Google Apps Script - Resumable game queue
+ * Put game IDs in the "Queue" sheet (queueGames() or queueUserGames()) and
+ * run runQueue(). Games are fetched and written a chunk at a time, and each
+ * row is marked done or failed as soon as its chunk is written. Before the
+ * execution time limit the run stops and schedules itself to continue, so
+ * thousands of games can be queued. When the queue is empty a summary row
+ * goes to the "Queue Log" sheet.
+ *
+ * Needs GoogleAppScript.js (fetchLichessGamesBatch, fitsBeforeDeadline, startJobRun,
+ * listUserGameIds),
+ * GoogleAppScript-advanced.js (writeOrganizedGamesToSheets) and
+ * game-input.js (parseGameInput) in the same project.
+ */
+
+const QUEUE_SHEET = 'Queue';
+const QUEUE_LOG_SHEET = 'Queue Log';
+const QUEUE_HEADERS = ['Game ID', 'Status', 'Error', 'Attempts', 'Updated'];
+
+// Games fetched and written per chunk; the queue is checkpointed after each
+const QUEUE_CHUNK_SIZE = 25;
+
+// Every run ends within this long, leaving time before Apps Script's 6 minute limit.
+// A chunk only starts when a full Cloud Function call (CLOUD_FUNCTION_TIMEOUT_SECONDS)
+// still fits, and rate limit waits are skipped when they would not.
+const QUEUE_MAX_RUN_SECONDS = 330;
+
+// A game that keeps failing for a passing reason (timeout, rate limit, ...) is given up after this many tries
+const QUEUE_MAX_ATTEMPTS = 3;
+
+// Wait before the continuation run starts
+const QUEUE_RESUME_DELAY_MS = 60 * 1000;
+
+/**
+ * Add games (IDs or game URLs) to the queue, skipping those already in it
+ * and logging the inputs that are not Lichess games
+ * @returns {number} How many were added
+ */
+function queueGames(gameIds) {
+  const sheet = getQueueSheet();
+  const lastRow = sheet.getLastRow();
+  const queued = lastRow > 1
+    ? sheet.getRange(2, 1, lastRow - 1, 1).getValues().map(row => String(row[0]))
+    : [];
+
+  const added = [];
+  gameIds.forEach(input => {
+    let gameId;
+    try {
+      gameId = parseGameInput(input).gameId;
+    } catch (error) {
+      Logger.log(`Not queued: ${error.message}`);
+      return;
+    }
+    if (queued.indexOf(gameId) === -1 && added.indexOf(gameId) === -1) added.push(gameId);
+  });
+
+  if (added.length > 0) {
+    sheet.getRange(lastRow + 1, 1, added.length, QUEUE_HEADERS.length)
+      .setValues(added.map(gameId => [gameId, 'pending', '', 0, new Date()]));
+  }
+
+  Logger.log(`Queued ${added.length} of ${gameIds.length} games`);
+  return added.length;
+}
+
+/**
+ * Queue a user's games (see listUserGameIds for the filters)
+ */
+function queueUserGames(username, filters) {
+  const listing = listUserGameIds(username, filters);
+  if (!listing) {
+    const error = getLastError();
+    Logger.log(`Failed to list games: ${error.code}`);
+    return 0;
+  }
+  return queueGames(listing.gameIds);
+}
+
+function getQueueSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(QUEUE_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(QUEUE_SHEET);
+    sheet.getRange(1, 1, 1, QUEUE_HEADERS.length).setValues([QUEUE_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/**
+ * Process pending games until the queue is empty or time runs out.
+ * Also the handler of the continuation trigger.
+ */
+function runQueue() {
+  const started = Date.now();
+  if (!startJobRun('QUEUE')) {
+    Logger.log('Queue is already running');
+    return;
+  }
+
+  try {
+    // The trigger that started this run (if any) has fired; drop it
+    deleteQueueTriggers();
+
+    const sheet = getQueueSheet();
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) {
+      // A continuation whose rows were deleted ends its pass here
+      clearQueueRun();
+      Logger.log('Queue is empty');
+      return;
+    }
+
+    // Status, Error, Attempts and Updated of every row, written back after each chunk
+    const ids = sheet.getRange(2, 1, lastRow - 1, 1).getValues().map(row => String(row[0]));
+    const state = sheet.getRange(2, 2, lastRow - 1, QUEUE_HEADERS.length - 1).getValues();
+    const run = getQueueRun();
+    const pending = [];
+    let rejected = 0;
+    state.forEach((row, index) => {
+      if (!ids[index] || (row[0] !== '' && row[0] !== 'pending')) return;
+
+      // Rows typed or pasted into the sheet may hold URLs
+      try {
+        ids[index] = parseGameInput(ids[index]).gameId;
+        pending.push(index);
+      } catch (error) {
+        row[0] = 'failed';
+        row[1] = 'invalid_request';
+        row[3] = new Date();
+        run.failed++;
+        rejected++;
+      }
+    });
+    if (rejected > 0) {
+      sheet.getRange(2, 2, state.length, QUEUE_HEADERS.length - 1).setValues(state);
+      Logger.log(`${rejected} queued rows are not Lichess games`);
+    }
+
+    const deadline = started + QUEUE_MAX_RUN_SECONDS * 1000;
+    while (pending.length > 0) {
+      if (!fitsBeforeDeadline(deadline, 0)) {
+        saveQueueRun(run);
+        ScriptApp.newTrigger('runQueue').timeBased().after(QUEUE_RESUME_DELAY_MS).create();
+        Logger.log(`Out of time with ${pending.length} games left; continuing in ${QUEUE_RESUME_DELAY_MS / 1000}s`);
+        return;
+      }
+
+      const chunk = pending.splice(0, QUEUE_CHUNK_SIZE);
+      const retry = processQueueChunk(chunk.map(index => ids[index]), chunk, state, run, deadline);
+
+      // Games to try again go to the back of the queue
+      retry.forEach(index => pending.push(index));
+
+      // Checkpoint: a run killed after this line loses nothing
+      sheet.getRange(2, 2, state.length, QUEUE_HEADERS.length - 1).setValues(state);
+      saveQueueRun(run);
+    }
+
+    writeQueueSummary(run, state);
+  } finally {
+    endJobRun('QUEUE');
+  }
+}
+
+/**
+ * Fetch and write one chunk, updating the chunk's rows of `state`.
+ * Retryable failures stay pending until QUEUE_MAX_ATTEMPTS.
+ * @param {number} deadline - When the run must end (see fetchLichessGamesBatch)
+ * @returns {number[]} The rows still pending
+ */
+function processQueueChunk(gameIds, rows, state, run, deadline) {
+  const { games, errors } = fetchLichessGamesBatch(gameIds, QUEUE_CHUNK_SIZE, true, deadline);
+  writeOrganizedGamesToSheets(games);
+
+  const now = new Date();
+  const pending = [];
+  rows.forEach((index, position) => {
+    const gameId = gameIds[position];
+    const row = state[index];
+    row[2] = (Number(row[2]) || 0) + 1;
+    row[3] = now;
+
+    if (games[gameId]) {
+      row[0] = 'done';
+      row[1] = '';
+      run.done++;
+      return;
+    }
+
+    const error = errors.find(e => e.gameId === gameId) || { code: 'internal_error', retryable: false };
+    const retry = error.retryable && row[2] < QUEUE_MAX_ATTEMPTS;
+    row[0] = retry ? 'pending' : 'failed';
+    row[1] = error.code;
+    if (retry) pending.push(index);
+    else run.failed++;
+  });
+
+  run.chunks++;
+  Logger.log(`Chunk ${run.chunks}: ${Object.keys(games).length} written, ${errors.length} failed`);
+  return pending;
+}
+
+/**
+ * Totals of the current pass over the queue, kept in the script properties
+ * across continuation runs: { started, runs, chunks, done, failed }
+ */
+function getQueueRun() {
+  const stored = PropertiesService.getScriptProperties().getProperty('QUEUE_RUN');
+  const run = stored ? JSON.parse(stored) : { started: Date.now(), runs: 0, chunks: 0, done: 0, failed: 0 };
+  run.runs++;
+  return run;
+}
+
+function saveQueueRun(run) {
+  PropertiesService.getScriptProperties().setProperty('QUEUE_RUN', JSON.stringify(run));
+}
+
+function clearQueueRun() {
+  PropertiesService.getScriptProperties().deleteProperty('QUEUE_RUN');
+}
+
+function deleteQueueTriggers() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === 'runQueue')
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+}
+
+/**
+ * Append the totals of the finished pass to the "Queue Log" sheet
+ */
+function writeQueueSummary(run, state) {
+  clearQueueRun();
+  if (run.chunks === 0 && run.failed === 0) {
+    Logger.log('Nothing pending in the queue');
+    return;
+  }
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(QUEUE_LOG_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(QUEUE_LOG_SHEET);
+    sheet.appendRow(['Started', 'Finished', 'Runs', 'Done', 'Failed', 'Queue Size']);
+    sheet.setFrozenRows(1);
+  }
+
+  sheet.appendRow([new Date(run.started), new Date(), run.runs, run.done, run.failed, state.length]);
+  Logger.log(`Queue empty: ${run.done} done, ${run.failed} failed in ${run.runs} run(s)`);
+}
+
+/**
+ * Stop a queue that is continuing on a trigger. Pending rows stay pending.
+ */
+function stopQueue() {
+  deleteQueueTriggers();
+  clearQueueRun();
+}
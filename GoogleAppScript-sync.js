@@ -0,0 +1,168 @@
+/**
+ * Google Apps Script - Scheduled sync of tracked users' games
+ * Run installSyncTrigger() once: syncTrackedUsers() then runs on a timer,
+ * fetches each tracked user's games played since the last sync and writes
+ * them with writeOrganizedGamesToSheets (GoogleAppScript-advanced.js).
+ * Every run adds a row per user to the "Sync Log" sheet.
+ *
+ * Needs GoogleAppScript.js (listUserGameIds, fetchLichessGamesBatch, fitsBeforeDeadline,
+ * startJobRun) and
+ * GoogleAppScript-advanced.js in the same project.
+ */
+
+// Users to sync; the SYNC_USERS script property (comma-separated) overrides this
+const TRACKED_USERS = ['YOUR_LICHESS_USERNAME'];
+
+// How far back the first sync of a user goes
+const SYNC_FIRST_RUN_DAYS = 30;
+
+// Games per user per run; the rest are picked up by the next run
+const SYNC_PAGE_SIZE = 25;
+
+// Every run ends within this long, leaving time before Apps Script's 6 minute limit.
+// Fetches that would not fit (see fitsBeforeDeadline) are retried next run.
+const SYNC_MAX_RUN_SECONDS = 330;
+
+const SYNC_LOG_SHEET = 'Sync Log';
+
+/**
+ * Create the time-driven trigger (replacing an existing one)
+ * @param {number} hours - Run every this many hours (1, 2, 4, 6, 8 or 12)
+ */
+function installSyncTrigger(hours = 1) {
+  removeSyncTrigger();
+  ScriptApp.newTrigger('syncTrackedUsers').timeBased().everyHours(hours).create();
+  Logger.log(`syncTrackedUsers will run every ${hours} hour(s)`);
+}
+
+/**
+ * Delete the time-driven trigger
+ */
+function removeSyncTrigger() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === 'syncTrackedUsers')
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+}
+
+function getTrackedUsers() {
+  const configured = PropertiesService.getScriptProperties().getProperty('SYNC_USERS');
+  const users = configured ? configured.split(',') : TRACKED_USERS;
+  return users.map(user => user.trim()).filter(Boolean);
+}
+
+/**
+ * Sync state of a user, stored in the script properties:
+ * { lastSynced, cursor, newest, retry }
+ * - lastSynced: createdAt (ms) of the newest game written by a finished sync
+ * - cursor, newest: an unfinished listing to resume, and the newest game it has written
+ * - retry: games that failed for a passing reason, tried again next run
+ */
+function getSyncState(username) {
+  const stored = PropertiesService.getScriptProperties().getProperty(`SYNC_STATE_${username.toLowerCase()}`);
+  return stored ? JSON.parse(stored) : { lastSynced: null, cursor: null, newest: null, retry: [] };
+}
+
+function saveSyncState(username, state) {
+  PropertiesService.getScriptProperties().setProperty(`SYNC_STATE_${username.toLowerCase()}`, JSON.stringify(state));
+}
+
+/**
+ * Forget a user's sync state, so the next run starts from SYNC_FIRST_RUN_DAYS ago
+ */
+function resetSyncState(username) {
+  PropertiesService.getScriptProperties().deleteProperty(`SYNC_STATE_${username.toLowerCase()}`);
+}
+
+/**
+ * Entry point for the trigger. Skips the run if the previous sync is still
+ * going; a queue run (GoogleAppScript-queue.js) does not hold it up.
+ */
+function syncTrackedUsers() {
+  const started = new Date();
+
+  if (!startJobRun('SYNC')) {
+    logSyncRun(started, '', 0, 0, 0, 'skipped', 'Previous run still in progress');
+    return;
+  }
+
+  try {
+    const deadline = started.getTime() + SYNC_MAX_RUN_SECONDS * 1000;
+    const users = getTrackedUsers();
+    for (let i = 0; i < users.length; i++) {
+      if (!fitsBeforeDeadline(deadline, 0)) {
+        logSyncRun(started, users.slice(i).join(', '), 0, 0, 0, 'deferred', 'Out of time, next run continues');
+        break;
+      }
+      syncUser(users[i], started, deadline);
+    }
+  } finally {
+    endJobRun('SYNC');
+  }
+}
+
+/**
+ * Fetch and write one page of a user's new games, then save where it stopped.
+ * Games not fetched before `deadline` (ms since the epoch) are retried next run.
+ */
+function syncUser(username, started, deadline) {
+  const state = getSyncState(username);
+  const since = state.lastSynced !== null
+    ? state.lastSynced + 1
+    : Date.now() - SYNC_FIRST_RUN_DAYS * 24 * 60 * 60 * 1000;
+
+  const listing = listUserGameIds(username, { since: since, pageSize: SYNC_PAGE_SIZE }, state.cursor, 1);
+  if (!listing) {
+    const error = getLastError();
+    logSyncRun(started, username, 0, 0, 0, 'error', `${error.code}: ${error.error}`);
+    return;
+  }
+
+  const gameIds = state.retry.concat(listing.gameIds.filter(gameId => state.retry.indexOf(gameId) === -1));
+  const { games, errors } = gameIds.length > 0 ? fetchLichessGamesBatch(gameIds, SYNC_PAGE_SIZE, true, deadline) : { games: {}, errors: [] };
+
+  const { written } = writeOrganizedGamesToSheets(games);
+
+  let newest = state.newest;
+  Object.keys(games).forEach(gameId => {
+    const createdAt = games[gameId].game && games[gameId].game.createdAt;
+    if (createdAt) newest = Math.max(newest || 0, new Date(createdAt).getTime());
+  });
+
+  // Retryable failures, and games there was no time to fetch, are tried again next run; the others are only logged
+  state.retry = errors.filter(error => error.retryable).map(error => error.gameId);
+  const failed = errors.filter(error => !error.retryable);
+
+  if (listing.cursor) {
+    state.cursor = listing.cursor;
+    state.newest = newest;
+  } else {
+    // Listing finished: the next sync starts after the newest game written
+    if (newest !== null) state.lastSynced = Math.max(state.lastSynced || 0, newest);
+    state.cursor = null;
+    state.newest = null;
+  }
+  saveSyncState(username, state);
+
+  const notes = [];
+  if (listing.cursor) notes.push('more games next run');
+  if (state.retry.length > 0) notes.push(`retrying ${state.retry.join(', ')}`);
+  failed.forEach(error => notes.push(`${error.gameId}: ${error.code}`));
+
+  logSyncRun(started, username, listing.gameIds.length, written, errors.length, errors.length > 0 ? 'partial' : 'ok', notes.join('; '));
+}
+
+/**
+ * Append a row to the "Sync Log" sheet
+ */
+function logSyncRun(started, username, listed, written, failed, status, message) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(SYNC_LOG_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(SYNC_LOG_SHEET);
+    sheet.appendRow(['Started', 'Finished', 'User', 'New Games', 'Written', 'Failed', 'Status', 'Message']);
+    sheet.setFrozenRows(1);
+  }
+
+  sheet.appendRow([started, new Date(), username, listed, written, failed, status, message || '']);
+  Logger.log(`Sync ${username || '(all)'}: ${status} ${message || ''}`);
+}
@@ -1,77 +1,302 @@
 /**
  * Google Apps Script to call the Puppeteer Cloud Function
  * and fetch Lichess game data including extension data
+ *
+ * Needs game-input.js (parseGameInput) in the same project, so game URLs
+ * can be passed wherever a game ID is expected.
  */
 
 // Replace this with your deployed Cloud Function URL
 const CLOUD_FUNCTION_URL = 'https://YOUR-REGION-YOUR-PROJECT.cloudfunctions.net/fetchLichessGame';
 
+// And this with the advanced function's URL (index-advanced.js), if you
+// deployed it: named scripts and customScript only run there
+const ADVANCED_CLOUD_FUNCTION_URL = 'https://YOUR-REGION-YOUR-PROJECT.cloudfunctions.net/fetchLichessGameAdvanced';
+
+// Response layout this script was written against (see response.schema.json)
+const EXPECTED_SCHEMA_VERSION = 2;
+
+// When Lichess rate limits the Cloud Function, wait as long as it says, up to this long
+const MAX_RATE_LIMIT_WAIT_SECONDS = 60;
+const MAX_RATE_LIMIT_ATTEMPTS = 3;
+
+// Longest one Cloud Function call can take: the function's timeout (TIMEOUT_SECONDS in deploy.sh)
+const CLOUD_FUNCTION_TIMEOUT_SECONDS = 120;
+
+// Stop listing a user's games after this long, leaving time before Apps Script's 6 minute limit
+const MAX_LISTING_SECONDS = 120;
+
+/**
+ * Add credentials from the script properties (Project Settings → Script properties)
+ * to UrlFetchApp options:
+ * - SCRAPER_KEY_ID and SCRAPER_SECRET sign the request, so the secret is never sent
+ * - SCRAPER_API_KEY is sent as is in X-API-Key
+ * @param {object} options - UrlFetchApp options (method, payload, ...)
+ * @param {string} query - The query string of the URL, without "?" (empty for none)
+ * @returns {object} The same options, with auth headers added
+ */
+function withAuth(options, query) {
+  const props = PropertiesService.getScriptProperties();
+  const keyId = props.getProperty('SCRAPER_KEY_ID');
+  const secret = props.getProperty('SCRAPER_SECRET');
+  const apiKey = props.getProperty('SCRAPER_API_KEY');
+  
+  options.headers = options.headers || {};
+  
+  if (keyId && secret) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const method = (options.method || 'get').toUpperCase();
+    const text = [timestamp, method, query || '', options.payload || ''].join('\n');
+    const signature = Utilities.computeHmacSha256Signature(text, secret, Utilities.Charset.UTF_8)
+      .map(b => ('0' + (b & 0xff).toString(16)).slice(-2))
+      .join('');
+    
+    options.headers['X-Key-Id'] = keyId;
+    options.headers['X-Timestamp'] = timestamp;
+    options.headers['X-Signature'] = signature;
+  } else if (apiKey) {
+    options.headers['X-API-Key'] = apiKey;
+  }
+  
+  return options;
+}
+
+// A run marker older than this belongs to an execution Apps Script has killed (6 minute limit)
+const RUN_MARKER_SECONDS = 7 * 60;
+
+/**
+ * Mark a long job (queue, sync) as running, so a second run of the same job
+ * is refused while other jobs go ahead. The script lock is only held while
+ * the marker is checked and set.
+ * @param {string} job - e.g. "QUEUE" or "SYNC"
+ * @returns {boolean} false if a run of that job is already going
+ */
+function startJobRun(job) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10000)) return false;
+  try {
+    const props = PropertiesService.getScriptProperties();
+    const running = Number(props.getProperty(`${job}_RUNNING`));
+    if (running && Date.now() - running < RUN_MARKER_SECONDS * 1000) return false;
+    props.setProperty(`${job}_RUNNING`, String(Date.now()));
+    return true;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function endJobRun(job) {
+  PropertiesService.getScriptProperties().deleteProperty(`${job}_RUNNING`);
+}
+
+/**
+ * Whether waiting `waitSeconds` and then making one more Cloud Function
+ * call still ends before `deadline` (ms since the epoch; null for none)
+ */
+function fitsBeforeDeadline(deadline, waitSeconds) {
+  return !deadline || Date.now() + (waitSeconds + CLOUD_FUNCTION_TIMEOUT_SECONDS) * 1000 <= deadline;
+}
+
+/**
+ * Call the Cloud Function, waiting and retrying while it answers 429
+ * (Lichess is rate limiting it). Each attempt is signed again.
+ * @param {string} query - The query string, without "?" (empty for none)
+ * @param {object} options - UrlFetchApp options, without credentials
+ * @param {string} functionUrl - Which function to call (default CLOUD_FUNCTION_URL)
+ * @param {number} deadline - Don't wait to retry if the retry could end after this (ms since the epoch)
+ * @returns {HTTPResponse} The last response
+ */
+function callCloudFunction(query, options, functionUrl = CLOUD_FUNCTION_URL, deadline = null) {
+  const url = query ? `${functionUrl}?${query}` : functionUrl;
+  
+  for (let attempt = 1; ; attempt++) {
+    const attemptOptions = Object.assign({}, options, { headers: Object.assign({}, options.headers) });
+    const response = UrlFetchApp.fetch(url, withAuth(attemptOptions, query));
+    if (response.getResponseCode() !== 429 || attempt >= MAX_RATE_LIMIT_ATTEMPTS) {
+      return response;
+    }
+    
+    const retryAfter = getRetryAfter(response);
+    if (retryAfter > MAX_RATE_LIMIT_WAIT_SECONDS || !fitsBeforeDeadline(deadline, retryAfter)) {
+      return response;
+    }
+    Logger.log(`Rate limited, retrying in ${retryAfter}s`);
+    Utilities.sleep(retryAfter * 1000);
+  }
+}
+
+/**
+ * Seconds to wait from a 429 response (body `retryAfter`, else the Retry-After header)
+ */
+function getRetryAfter(response) {
+  try {
+    const retryAfter = JSON.parse(response.getContentText()).retryAfter;
+    if (retryAfter) return retryAfter;
+  } catch (e) {
+    // Not JSON
+  }
+  const headers = response.getHeaders();
+  return parseInt(headers['Retry-After'] || headers['retry-after'] || '10');
+}
+
+// The error of the last failed fetch in this execution, see getLastError()
+let lastError = null;
+
+/**
+ * Why the last fetchLichessGameWithExtensions / fetchLichessGamePgn call
+ * returned null: { code, error, retryable, retryAfter }, or null if it worked.
+ * `code` is one of the error codes in the README (game_not_found, timeout,
+ * parse_error, browser_crash, upstream_blocked, ...); only retry when
+ * `retryable` is true.
+ */
+function getLastError() {
+  return lastError;
+}
+
+/**
+ * Read the error from a failed response. Bodies that are not JSON (e.g. from
+ * Google's front end) are reported as internal_error, retryable on 5xx.
+ */
+function readError(response) {
+  const statusCode = response.getResponseCode();
+  try {
+    const body = JSON.parse(response.getContentText());
+    if (body.code) {
+      return { code: body.code, error: body.error, retryable: body.retryable === true, retryAfter: body.retryAfter || null };
+    }
+  } catch (e) {
+    // Not JSON
+  }
+  return { code: 'internal_error', error: `HTTP ${statusCode}`, retryable: statusCode >= 500, retryAfter: null };
+}
+
+/**
+ * Error for a failure on our side of the call (network, quota, bad JSON)
+ */
+function clientError(error) {
+  return { code: 'internal_error', error: error.toString(), retryable: true, retryAfter: null };
+}
+
+/**
+ * Error for a game ID or URL that parseGameInput() rejected
+ */
+function inputError(error) {
+  return { code: 'invalid_request', error: error.message, retryable: false, retryAfter: null };
+}
+
+/**
+ * Warn when the Cloud Function returns a layout this script does not know
+ */
+function checkSchemaVersion(document) {
+  if (document.schemaVersion !== EXPECTED_SCHEMA_VERSION) {
+    Logger.log(`Warning: expected schemaVersion ${EXPECTED_SCHEMA_VERSION}, got ${document.schemaVersion}`);
+  }
+}
+
 /**
  * Fetches Lichess game data via Cloud Function
- * @param {string} gameId - The Lichess game ID
- * @returns {object} Game data including extension data
+ * @param {string} gameId - The Lichess game ID, or a game URL
+ * @param {string} mode - Optional: 'api', 'browser' or 'auto' (server default is 'browser')
+ * @returns {object} Game document: { schemaVersion, gameId, source, game, extensionData },
+ *   or null on error (see getLastError())
  */
-function fetchLichessGameWithExtensions(gameId) {
-  if (!gameId) {
-    Logger.log('Error: No game ID provided');
+function fetchLichessGameWithExtensions(gameId, mode) {
+  lastError = null;
+  try {
+    gameId = parseGameInput(gameId).gameId;
+  } catch (error) {
+    Logger.log(`Error: ${error.message}`);
+    lastError = inputError(error);
     return null;
   }
   
   try {
-    const url = `${CLOUD_FUNCTION_URL}?gameId=${gameId}`;
+    let query = `gameId=${gameId}`;
+    if (mode) {
+      query += `&mode=${mode}`;
+    }
     
     Logger.log(`Calling Cloud Function for game: ${gameId}`);
     
-    const options = {
+    const response = callCloudFunction(query, {
       'method': 'get',
       'muteHttpExceptions': true,
       'headers': {
         'Content-Type': 'application/json'
       }
-    };
-    
-    const response = UrlFetchApp.fetch(url, options);
+    });
     const statusCode = response.getResponseCode();
     
     Logger.log(`Status: ${statusCode}`);
     
     if (statusCode !== 200) {
-      Logger.log(`Error: ${response.getContentText()}`);
+      lastError = readError(response);
+      Logger.log(`Error (${lastError.code}${lastError.retryable ? ', retryable' : ''}): ${lastError.error}`);
       return null;
     }
     
     const jsonResponse = JSON.parse(response.getContentText());
     
     if (jsonResponse.success) {
-      Logger.log('Game data fetched successfully!');
-      Logger.log(`HTML Length: ${jsonResponse.data.htmlLength}`);
+      Logger.log(`Game data fetched successfully (source: ${jsonResponse.source})`);
+      checkSchemaVersion(jsonResponse);
       
-      // Log the page init data
-      if (jsonResponse.data.pageInitData) {
-        Logger.log('Page Init Data Found:');
-        Logger.log(JSON.stringify(jsonResponse.data.pageInitData, null, 2));
+      // Log the normalized game
+      if (jsonResponse.game) {
+        const game = jsonResponse.game;
+        Logger.log(`${game.players.white.name} vs ${game.players.black.name}: ${game.result} (${game.moves.length} plies)`);
       }
       
       // Log extension data
-      if (jsonResponse.data.extensionData) {
+      if (jsonResponse.extensionData) {
         Logger.log('Extension Data Found:');
-        Logger.log(JSON.stringify(jsonResponse.data.extensionData, null, 2));
+        Logger.log(JSON.stringify(jsonResponse.extensionData, null, 2));
       }
       
-      // Log additional data
-      if (jsonResponse.data.additionalData) {
-        Logger.log('Additional Data:');
-        Logger.log(JSON.stringify(jsonResponse.data.additionalData, null, 2));
-      }
-      
-      return jsonResponse.data;
+      return jsonResponse;
     } else {
-      Logger.log(`Error: ${jsonResponse.error}`);
+      lastError = readError(response);
+      Logger.log(`Error (${lastError.code}): ${lastError.error}`);
       return null;
     }
     
   } catch (error) {
     Logger.log(`Error calling Cloud Function: ${error.toString()}`);
+    lastError = clientError(error);
+    return null;
+  }
+}
+
+/**
+ * Fetches a game as PGN (tags, moves, [%clk] and [%eval] comments)
+ * @param {string} gameId - The Lichess game ID, or a game URL
+ * @returns {string} PGN text, or null on error (see getLastError())
+ */
+function fetchLichessGamePgn(gameId) {
+  lastError = null;
+  try {
+    gameId = parseGameInput(gameId).gameId;
+  } catch (error) {
+    Logger.log(`Error: ${error.message}`);
+    lastError = inputError(error);
+    return null;
+  }
+  
+  try {
+    const query = `gameId=${gameId}&format=pgn`;
+    const response = callCloudFunction(query, { 'muteHttpExceptions': true });
+    
+    if (response.getResponseCode() !== 200) {
+      lastError = readError(response);
+      Logger.log(`Error (${lastError.code}): ${lastError.error}`);
+      return null;
+    }
+    
+    return response.getContentText();
+    
+  } catch (error) {
+    Logger.log(`Error calling Cloud Function: ${error.toString()}`);
+    lastError = clientError(error);
     return null;
   }
 }
@@ -83,58 +308,415 @@ function writeGameDataToSheet(gameId) {
   const gameData = fetchLichessGameWithExtensions(gameId);
   
   if (!gameData) {
-    Logger.log('Failed to fetch game data');
+    const error = getLastError();
+    Logger.log(`Failed to fetch game data: ${error.code}${error.retryable ? ' (worth retrying later)' : ''}`);
     return;
   }
   
   const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
   
-  // Write basic info
+  // Basic info, the normalized game and extension data, in one write
   const row = sheet.getLastRow() + 1;
-  sheet.getRange(row, 1).setValue(gameId);
-  sheet.getRange(row, 2).setValue(new Date());
+  sheet.getRange(row, 1, 1, 4).setValues([[
+    gameId,
+    new Date(),
+    gameData.game ? JSON.stringify(gameData.game) : '',
+    gameData.extensionData ? JSON.stringify(gameData.extensionData) : ''
+  ]]);
+  
+  Logger.log(`Data written to row ${row}`);
+}
+
+/**
+ * Fetches several games in one Cloud Function call
+ * @param {string[]} gameIds - Lichess game IDs or game URLs
+ * @param {number} batchSize - Games per request (the function caps this, default 50)
+ * @param {boolean} retryRateLimited - Fetch games that were rate limited once more, after waiting
+ * @param {number} deadline - Start no request, and no wait before one, that could end after this
+ *   (ms since the epoch); the games left out are errors with code timeout, retryable
+ * @returns {object} { games: map of (canonical) gameId to game document,
+ *   errors: [{gameId, error, code, retryable, retryAfter?}] }; an input that
+ *   is not a game is in errors with code invalid_request, under what was passed
+ */
+function fetchLichessGamesBatch(gameIds, batchSize = 25, retryRateLimited = true, deadline = null) {
+  const games = {};
+  let errors = [];
   
-  // Write page init data
-  if (gameData.pageInitData) {
-    sheet.getRange(row, 3).setValue(JSON.stringify(gameData.pageInitData));
+  // Rejected here rather than failing the whole request on the server
+  const parsed = [];
+  gameIds.forEach(input => {
+    try {
+      const gameId = parseGameInput(input).gameId;
+      if (parsed.indexOf(gameId) === -1) parsed.push(gameId);
+    } catch (error) {
+      errors.push(Object.assign({ gameId: input }, inputError(error)));
+    }
+  });
+  gameIds = parsed;
+  
+  for (let i = 0; i < gameIds.length; i += batchSize) {
+    const chunk = gameIds.slice(i, i + batchSize);
+    if (!fitsBeforeDeadline(deadline, 0)) {
+      Logger.log(`Out of time, ${gameIds.length - i} game(s) not fetched`);
+      gameIds.slice(i).forEach(gameId => errors.push({ gameId: gameId, error: 'Out of time before fetching', code: 'timeout', retryable: true }));
+      break;
+    }
+    Logger.log(`Fetching games ${i + 1}-${i + chunk.length} of ${gameIds.length}`);
+    
+    try {
+      const response = callCloudFunction('', {
+        'method': 'post',
+        'contentType': 'application/json',
+        'payload': JSON.stringify({ gameIds: chunk }),
+        'muteHttpExceptions': true
+      }, CLOUD_FUNCTION_URL, deadline);
+      const jsonResponse = JSON.parse(response.getContentText());
+      
+      if (!jsonResponse.success) {
+        const failure = readError(response);
+        Logger.log(`Error (${failure.code}): ${failure.error}`);
+        chunk.forEach(gameId => errors.push(Object.assign({ gameId: gameId }, failure)));
+        continue;
+      }
+      
+      jsonResponse.results.forEach(result => {
+        checkSchemaVersion(result.data);
+        games[result.gameId] = result.data;
+      });
+      jsonResponse.errors.forEach(error => {
+        Logger.log(`Error fetching ${error.gameId}: ${error.error}`);
+        errors.push(error);
+      });
+      
+    } catch (error) {
+      Logger.log(`Error calling Cloud Function: ${error.toString()}`);
+      chunk.forEach(gameId => errors.push(Object.assign({ gameId: gameId }, clientError(error))));
+    }
   }
   
-  // Write extension data
-  if (gameData.extensionData) {
-    sheet.getRange(row, 4).setValue(JSON.stringify(gameData.extensionData));
+  // Games Lichess refused because of its rate limit say when to try again
+  const rateLimited = errors.filter(error => error.code === 'rate_limited');
+  if (retryRateLimited && rateLimited.length > 0) {
+    const wait = Math.max.apply(null, rateLimited.map(error => error.retryAfter || 10));
+    if (wait <= MAX_RATE_LIMIT_WAIT_SECONDS && fitsBeforeDeadline(deadline, wait)) {
+      Logger.log(`${rateLimited.length} game(s) rate limited, retrying in ${wait}s`);
+      Utilities.sleep(wait * 1000);
+      
+      const retry = fetchLichessGamesBatch(rateLimited.map(error => error.gameId), batchSize, false, deadline);
+      Object.assign(games, retry.games);
+      errors = errors.filter(error => error.code !== 'rate_limited').concat(retry.errors);
+    }
   }
   
-  Logger.log(`Data written to row ${row}`);
+  return { games: games, errors: errors };
 }
 
 /**
- * Example: Process multiple games
+ * Fetches a player's opening tree over a set of games (see repertoire.js)
+ * @param {string} username - The player's Lichess username
+ * @param {string[]} gameIds - Their games (at most the function's MAX_BATCH_SIZE)
+ * @param {number} depth - Plies to keep (default 12)
+ * @returns {object} { repertoire: { player, depth, games, white, black, skipped }, errors },
+ *   or null on error (see getLastError())
  */
-function processMultipleGames() {
-  const gameIds = [
-    'Bm5DQUPZ',
-    'ANOTHER_GAME_ID',
-    'YET_ANOTHER_ID'
-  ];
+function fetchRepertoire(username, gameIds, depth = 12) {
+  lastError = null;
+  try {
+    const response = callCloudFunction('', {
+      'method': 'post',
+      'contentType': 'application/json',
+      'payload': JSON.stringify({ gameIds: gameIds, repertoire: username, depth: depth, mode: 'auto' }),
+      'muteHttpExceptions': true
+    });
+    const jsonResponse = JSON.parse(response.getContentText());
+    
+    if (!jsonResponse.success) {
+      lastError = readError(response);
+      Logger.log(`Error (${lastError.code}): ${lastError.error}`);
+      return null;
+    }
+    
+    jsonResponse.errors.forEach(error => Logger.log(`Error fetching ${error.gameId}: ${error.error}`));
+    return { repertoire: jsonResponse.repertoire, errors: jsonResponse.errors };
+    
+  } catch (error) {
+    Logger.log(`Error calling Cloud Function: ${error.toString()}`);
+    lastError = clientError(error);
+    return null;
+  }
+}
+
+/**
+ * Fetches a study, one chapter of it, or a broadcast round (see study.js)
+ * @param {string} study - Study ID, "studyId/chapterId", or a study or broadcast round URL
+ * @returns {object} { schemaVersion, source, study: { id, name, url, chapters } },
+ *   or null on error (see getLastError())
+ */
+function fetchLichessStudy(study) {
+  lastError = null;
+  try {
+    const response = callCloudFunction('', {
+      'method': 'post',
+      'contentType': 'application/json',
+      'payload': JSON.stringify({ study: study }),
+      'muteHttpExceptions': true
+    });
+    
+    if (response.getResponseCode() !== 200) {
+      lastError = readError(response);
+      Logger.log(`Error (${lastError.code}): ${lastError.error}`);
+      return null;
+    }
+    
+    const jsonResponse = JSON.parse(response.getContentText());
+    checkSchemaVersion(jsonResponse);
+    Logger.log(`${jsonResponse.study.name}: ${jsonResponse.study.chapters.length} chapters`);
+    return jsonResponse;
+    
+  } catch (error) {
+    Logger.log(`Error calling Cloud Function: ${error.toString()}`);
+    lastError = clientError(error);
+    return null;
+  }
+}
+
+/**
+ * Fetches any Lichess page the Cloud Function has an extractor for:
+ * a game, study, puzzle, tournament or user profile (see page-extractors.js)
+ * @param {string} url - e.g. "https://lichess.org/training/K69di"
+ * @returns {object} A game, study or page document ({ pageType, url, page, ... }),
+ *   or null on error (see getLastError())
+ */
+function fetchLichessPage(url) {
+  lastError = null;
+  try {
+    const response = callCloudFunction('', {
+      'method': 'post',
+      'contentType': 'application/json',
+      'payload': JSON.stringify({ url: url }),
+      'muteHttpExceptions': true
+    });
+    
+    if (response.getResponseCode() !== 200) {
+      lastError = readError(response);
+      Logger.log(`Error (${lastError.code}): ${lastError.error}`);
+      return null;
+    }
+    
+    const jsonResponse = JSON.parse(response.getContentText());
+    checkSchemaVersion(jsonResponse);
+    Logger.log(`Fetched ${jsonResponse.pageType || (jsonResponse.study ? 'study' : 'game')}: ${url}`);
+    return jsonResponse;
+    
+  } catch (error) {
+    Logger.log(`Error calling Cloud Function: ${error.toString()}`);
+    lastError = clientError(error);
+    return null;
+  }
+}
+
+/**
+ * Write a player's repertoire to a "Repertoire" sheet, one row per line
+ * (each move sequence from the start position), most played lines first
+ * @param {number} depth - Plies per line (default 12)
+ */
+function writeRepertoireToSheet(username, gameIds, depth = 12) {
+  const result = fetchRepertoire(username, gameIds, depth);
+  if (!result) {
+    Logger.log('Failed to fetch repertoire');
+    return;
+  }
+  
+  const rows = [];
+  const addLines = (color, node, line) => {
+    node.children.forEach(child => {
+      const moveNumber = Math.ceil(child.ply / 2);
+      const san = child.ply % 2 === 1 ? `${moveNumber}. ${child.san}` : child.san;
+      const childLine = line.concat(san);
+      const last = child.lastGame;
+      
+      rows.push([
+        color,
+        childLine.join(' '),
+        child.ply,
+        child.games,
+        child.score,
+        child.wins,
+        child.draws,
+        child.losses,
+        child.averageOpponentRating === null ? '' : child.averageOpponentRating,
+        last && last.playedAt ? new Date(last.playedAt) : '',
+        last ? last.url : ''
+      ]);
+      addLines(color, child, childLine);
+    });
+  };
+  
+  const repertoire = result.repertoire;
+  ['white', 'black'].forEach(color => {
+    if (repertoire[color]) addLines(color, repertoire[color], []);
+  });
+  
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('Repertoire') || ss.insertSheet('Repertoire');
+  const header = ['Color', 'Line', 'Plies', 'Games', 'Score %', 'Wins', 'Draws', 'Losses', 'Avg Opp Rating', 'Last Played', 'Last Game'];
+  
+  sheet.clearContents();
+  sheet.getRange(1, 1, 1, header.length).setValues([header]).setFontWeight('bold');
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, header.length).setValues(rows);
+  }
+  sheet.setFrozenRows(1);
+  
+  Logger.log(`${repertoire.player}: ${repertoire.games} games, ${rows.length} lines, ${repertoire.skipped.length} skipped`);
+}
+
+/**
+ * Lists a user's game IDs, newest first, a page at a time until every game
+ * is listed, `filters.max` is reached or MAX_LISTING_SECONDS run out
+ * @param {string} username - Lichess username
+ * @param {object} filters - Optional: { since, until (Date or 'YYYY-MM-DD'),
+ *   perfType ('blitz,rapid'), rated (true for rated only), max }
+ * @param {string} cursor - Optional: resume where an earlier call stopped
+ * @param {number} maxPages - Optional: stop after this many pages
+ * @returns {object} { gameIds, cursor } where cursor is null once the listing
+ *   is complete, or null on error (see getLastError())
+ */
+function listUserGameIds(username, filters, cursor, maxPages) {
+  lastError = null;
+  const started = Date.now();
+  const gameIds = [];
+  let pages = 0;
+  const payload = Object.assign({ user: username, listOnly: true }, filters || {});
+  ['since', 'until'].forEach(name => {
+    if (payload[name] instanceof Date) payload[name] = payload[name].getTime();
+  });
+  
+  try {
+    do {
+      payload.cursor = cursor || undefined;
+      const response = callCloudFunction('', {
+        'method': 'post',
+        'contentType': 'application/json',
+        'payload': JSON.stringify(payload),
+        'muteHttpExceptions': true
+      });
+      
+      if (response.getResponseCode() !== 200) {
+        lastError = readError(response);
+        Logger.log(`Error (${lastError.code}): ${lastError.error}`);
+        return null;
+      }
+      
+      const page = JSON.parse(response.getContentText());
+      page.gameIds.forEach(gameId => gameIds.push(gameId));
+      cursor = page.cursor;
+      pages++;
+      Logger.log(`Listed ${gameIds.length} games of ${username}`);
+    } while (cursor && pages < (maxPages || Infinity) && (Date.now() - started) / 1000 < MAX_LISTING_SECONDS);
+    
+    return { gameIds: gameIds, cursor: cursor };
+    
+  } catch (error) {
+    Logger.log(`Error calling Cloud Function: ${error.toString()}`);
+    lastError = clientError(error);
+    return null;
+  }
+}
+
+/**
+ * Example: Process a user's recent games
+ * (for more games than fit in one execution, see GoogleAppScript-queue.js)
+ */
+function processMultipleGames(username = 'YOUR_LICHESS_USERNAME') {
+  const listing = listUserGameIds(username, { max: 20, rated: true });
+  if (!listing) {
+    Logger.log('Failed to list games');
+    return;
+  }
+  
+  const gameIds = listing.gameIds;
+  const { games, errors } = fetchLichessGamesBatch(gameIds);
   
   gameIds.forEach(gameId => {
     Logger.log(`\n--- Processing game: ${gameId} ---`);
-    const data = fetchLichessGameWithExtensions(gameId);
+    const data = games[gameId];
     
     if (data) {
       // Process the data as needed
       // For example, extract specific fields:
-      if (data.pageInitData?.game) {
-        const game = data.pageInitData.game;
-        Logger.log(`White: ${game.players?.white?.name || 'Unknown'}`);
-        Logger.log(`Black: ${game.players?.black?.name || 'Unknown'}`);
-        Logger.log(`Result: ${game.status?.name || 'Unknown'}`);
+      if (data.game) {
+        const game = data.game;
+        Logger.log(`White: ${game.players.white.name || 'Unknown'}`);
+        Logger.log(`Black: ${game.players.black.name || 'Unknown'}`);
+        Logger.log(`Result: ${game.result} (${game.status || 'Unknown'})`);
       }
     }
-    
-    // Be nice to the API - wait between requests
-    Utilities.sleep(2000);
   });
+  
+  // Games that failed for a passing reason (timeout, browser crash, ...) are worth another run
+  const retryable = errors.filter(error => error.retryable).map(error => error.gameId);
+  errors.filter(error => !error.retryable).forEach(error => {
+    Logger.log(`Skipping ${error.gameId}: ${error.code}`);
+  });
+  
+  Logger.log(`Done: ${gameIds.length - errors.length} fetched, ${errors.length} failed`);
+  if (retryable.length > 0) {
+    Logger.log(`Retry later: ${retryable.join(', ')}`);
+  }
+}
+
+/**
+ * Example: Receive live moves from follow mode
+ * Deploy this script as a web app (Deploy → New deployment → Web app) and
+ * pass its /exec URL as callbackUrl with follow=true. Each move is appended
+ * to a "Live" sheet as it is played.
+ *
+ * Anyone with the /exec URL can POST to it, so only events carrying the
+ * LIVE_CALLBACK_TOKEN script property as `token` are written: pass the
+ * same value as callbackToken with follow=true. Without the property,
+ * nothing is written.
+ */
+function doPost(e) {
+  let event;
+  try {
+    event = JSON.parse(e.postData.contents);
+  } catch (error) {
+    return liveCallbackResponse(false, 'Body is not JSON');
+  }
+  
+  const token = PropertiesService.getScriptProperties().getProperty('LIVE_CALLBACK_TOKEN');
+  if (!token || !event || event.token !== token) {
+    Logger.log('Live callback rejected: missing or wrong token');
+    return liveCallbackResponse(false, 'Missing or wrong token');
+  }
+  
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('Live') || ss.insertSheet('Live');
+  
+  if (event.event === 'move') {
+    const move = event.move;
+    sheet.appendRow([
+      event.gameId,
+      move.ply,
+      move.san,
+      move.clock ? move.clock.white : '',
+      move.clock ? move.clock.black : '',
+      move.timestamp
+    ]);
+  } else if (event.event === 'end') {
+    sheet.appendRow([event.gameId, 'end', event.endReason, event.winner || 'draw', event.status || '', new Date().toISOString()]);
+  }
+  
+  return liveCallbackResponse(true);
+}
+
+/**
+ * Web apps cannot set a status code, so doPost answers { ok, error? } as JSON
+ */
+function liveCallbackResponse(ok, error) {
+  const body = ok ? { ok: true } : { ok: false, error: error };
+  return ContentService.createTextOutput(JSON.stringify(body)).setMimeType(ContentService.MimeType.JSON);
 }
 
 /**
@@ -0,0 +1,156 @@
+/**
+ * Accuracy and average centipawn loss, computed the way Lichess does
+ *
+ * Evaluations (centipawns, or mate as ±1000) become win percentages. A
+ * move's accuracy falls off exponentially with the win% its mover lost,
+ * and a side's game accuracy averages the volatility-weighted mean and the
+ * harmonic mean of its move accuracies, so calm positions weigh less and
+ * one blunder is not averaged away. Constants follow lila's
+ * WinPercent, AccuracyPercent and AccuracyCP.
+ */
+
+// Evaluations are capped at ±10 pawns; mates count as the cap
+const CP_CEILING = 1000;
+
+// Lichess's evaluation of the start position, used before the first move
+const INITIAL_CP = 15;
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Centipawns from white's point of view, capped at ±CP_CEILING
+ * @param {object} evaluation - { cp, mate }
+ * @returns {number|null} null when there is no evaluation
+ */
+function toCentipawns(evaluation) {
+  if (!evaluation) return null;
+  if (evaluation.mate !== null && evaluation.mate !== undefined) {
+    return evaluation.mate >= 0 ? CP_CEILING : -CP_CEILING;
+  }
+  if (evaluation.cp === null || evaluation.cp === undefined) return null;
+  return clamp(evaluation.cp, -CP_CEILING, CP_CEILING);
+}
+
+/**
+ * White's chance to win (0-100) from centipawns
+ */
+function winPercent(cp) {
+  const capped = clamp(cp, -CP_CEILING, CP_CEILING);
+  return 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * capped)) - 1);
+}
+
+/**
+ * Accuracy (0-100) of a move that took its mover from `before` to `after` win%
+ */
+function moveAccuracy(before, after) {
+  if (after >= before) return 100;
+  const raw = 103.1668100711649 * Math.exp(-0.04354415386753951 * (before - after)) - 3.166924740191411;
+  // Lichess adds one point for the engine's own uncertainty
+  return clamp(raw + 1, 0, 100);
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function standardDeviation(values) {
+  const average = mean(values);
+  return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+}
+
+function harmonicMean(values) {
+  return values.length / values.reduce((sum, value) => sum + 1 / Math.max(1, value), 0);
+}
+
+/**
+ * One weight per move: the win% volatility of the window around it.
+ * The first moves share the first window, as in lila.
+ */
+function volatilityWeights(winPercents) {
+  const moveCount = winPercents.length - 1;
+  const windowSize = clamp(Math.floor(moveCount / 10), 2, 8);
+
+  const windows = [];
+  for (let i = 0; i < Math.min(windowSize, winPercents.length) - 2; i++) {
+    windows.push(winPercents.slice(0, windowSize));
+  }
+  for (let i = 0; i + windowSize <= Math.max(windowSize, winPercents.length); i++) {
+    windows.push(winPercents.slice(i, i + windowSize));
+  }
+
+  return windows.map(window => clamp(standardDeviation(window), 0.5, 12));
+}
+
+/**
+ * Evaluation after each ply from white's point of view. A final checkmate
+ * often has no evaluation; it is scored as a win for the mover.
+ * @returns {number[]|null} null unless every ply is evaluated
+ */
+function centipawnsAfterEachPly(moves) {
+  const cps = moves.map((move, index) => {
+    const isLast = index === moves.length - 1;
+    const mated = move.checkmate || move.san.endsWith('#');
+    if (isLast && mated) return move.color === 'white' ? CP_CEILING : -CP_CEILING;
+    return toCentipawns(move.eval);
+  });
+
+  return cps.some(cp => cp === null) ? null : cps;
+}
+
+/**
+ * Compute per-move and per-side accuracy, and ACPL per side
+ * @param {object[]} moves - Normalized moves ({ color, san, eval, checkmate })
+ * @returns {object|null} { moves: [accuracy per ply], white: { accuracy, acpl },
+ *   black: { accuracy, acpl } }, or null unless every ply has an evaluation.
+ *   A side without moves gets null values.
+ */
+function computeAccuracy(moves) {
+  if (moves.length === 0) return null;
+
+  const cps = centipawnsAfterEachPly(moves);
+  if (!cps) return null;
+
+  const allCps = [INITIAL_CP, ...cps];
+  const winPercents = allCps.map(winPercent);
+  const weights = volatilityWeights(winPercents);
+
+  const sides = { white: [], black: [] };
+  const perMove = moves.map((move, index) => {
+    const white = move.color === 'white';
+    const before = white ? winPercents[index] : 100 - winPercents[index];
+    const after = white ? winPercents[index + 1] : 100 - winPercents[index + 1];
+    const accuracy = moveAccuracy(before, after);
+
+    const loss = Math.max(0, (allCps[index] - allCps[index + 1]) * (white ? 1 : -1));
+    sides[move.color].push({ accuracy, weight: weights[index], loss });
+    return Math.round(accuracy * 10) / 10;
+  });
+
+  const summarize = entries => {
+    if (entries.length === 0) return { accuracy: null, acpl: null };
+
+    const accuracies = entries.map(entry => entry.accuracy);
+    const weighted = entries.reduce((sum, entry) => sum + entry.accuracy * entry.weight, 0) /
+      entries.reduce((sum, entry) => sum + entry.weight, 0);
+
+    return {
+      accuracy: Math.round((weighted + harmonicMean(accuracies)) / 2),
+      acpl: Math.round(mean(entries.map(entry => entry.loss)))
+    };
+  };
+
+  return {
+    moves: perMove,
+    white: summarize(sides.white),
+    black: summarize(sides.black)
+  };
+}
+
+module.exports = {
+  toCentipawns,
+  winPercent,
+  moveAccuracy,
+  computeAccuracy
+};
@@ -0,0 +1,176 @@
+/**
+ * Request authentication for the scraper endpoints
+ *
+ * Keys are configured in API_KEYS as JSON, keyed by key ID:
+ *
+ *   {"sheets": {"secret": "...", "scopes": ["basic"]},
+ *    "team":   {"secret": "...", "scopes": ["basic", "inject"]}}
+ *
+ * A client either sends the secret itself in X-API-Key, or signs the request
+ * (X-Key-Id, X-Timestamp, X-Signature) so the secret never travels. The
+ * signature is the hex HMAC-SHA256, keyed with the secret, of
+ *
+ *   <timestamp>\n<METHOD>\n<query string as sent>\n<raw body>
+ *
+ * Signed requests are only accepted within AUTH_MAX_SKEW_SECONDS of their
+ * timestamp, and each signature only once.
+ */
+
+const crypto = require('crypto');
+
+// What a key may do: "basic" to fetch games, "inject" to run custom scripts in the browser
+const SCOPES = ['basic', 'inject'];
+
+const MAX_SKEW_SECONDS = parseInt(process.env.AUTH_MAX_SKEW_SECONDS || '300');
+
+let keys = null;
+let warnedOpen = false;
+
+// Signatures already used, with the time they stop being valid
+const seenSignatures = new Map();
+
+/**
+ * Thrown when a request is not authenticated (401) or lacks a scope (403)
+ */
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+/**
+ * The configured keys: Map of key ID to { secret, scopes }
+ */
+function getKeys() {
+  if (keys) return keys;
+
+  // Nothing is cached until the whole config is valid, so a bad config fails every request
+  const configured = new Map();
+  if (!process.env.API_KEYS) {
+    keys = configured;
+    return keys;
+  }
+
+  let config;
+  try {
+    config = JSON.parse(process.env.API_KEYS);
+  } catch (e) {
+    // The parser's message would quote part of the secrets
+    throw new Error('API_KEYS is not valid JSON');
+  }
+
+  Object.entries(config).forEach(([keyId, { secret, scopes = ['basic'] }]) => {
+    if (!secret) throw new Error(`API_KEYS: key "${keyId}" has no secret`);
+
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) throw new Error(`API_KEYS: key "${keyId}" has unknown scopes: ${unknown.join(', ')}`);
+
+    configured.set(keyId, { secret, scopes });
+  });
+
+  keys = configured;
+  return keys;
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * The exact string a client signs
+ */
+function signingString(req, timestamp) {
+  const url = req.originalUrl || req.url || '';
+  const queryIndex = url.indexOf('?');
+  const query = queryIndex === -1 ? '' : url.substring(queryIndex + 1);
+  // Cloud Functions keeps the unparsed body in rawBody
+  const body = req.rawBody ? req.rawBody.toString('utf8') : '';
+
+  return `${timestamp}\n${req.method.toUpperCase()}\n${query}\n${body}`;
+}
+
+function sign(secret, text) {
+  return crypto.createHmac('sha256', secret).update(text).digest('hex');
+}
+
+function forgetExpiredSignatures(now) {
+  seenSignatures.forEach((expiresAt, signature) => {
+    if (expiresAt <= now) seenSignatures.delete(signature);
+  });
+}
+
+function verifySignature(req, keyId) {
+  const key = getKeys().get(keyId);
+  if (!key) throw new AuthError('Unknown key ID');
+
+  const timestamp = req.headers['x-timestamp'];
+  const signature = String(req.headers['x-signature'] || '').toLowerCase();
+  if (!/^\d+$/.test(timestamp || '')) throw new AuthError('X-Timestamp must be a Unix time in seconds');
+
+  const now = Math.floor(Date.now() / 1000);
+  if (Math.abs(now - parseInt(timestamp)) > MAX_SKEW_SECONDS) {
+    throw new AuthError('Request timestamp is too old or too far in the future');
+  }
+
+  if (!safeEqual(signature, sign(key.secret, signingString(req, timestamp)))) {
+    throw new AuthError('Invalid signature');
+  }
+
+  forgetExpiredSignatures(now);
+  if (seenSignatures.has(signature)) throw new AuthError('Request was already used');
+  seenSignatures.set(signature, parseInt(timestamp) + MAX_SKEW_SECONDS + 1);
+
+  return { keyId, scopes: key.scopes };
+}
+
+function verifyApiKey(apiKey) {
+  for (const [keyId, key] of getKeys()) {
+    if (safeEqual(apiKey, key.secret)) return { keyId, scopes: key.scopes };
+  }
+  throw new AuthError('Invalid API key');
+}
+
+/**
+ * Check a request's credentials and scopes.
+ * When API_KEYS is not set every request is let through, as before.
+ * @param {string[]} requiredScopes - Scopes the key must have
+ * @returns {object|null} { keyId, scopes }, or null when authentication is off
+ * @throws {AuthError} If the credentials are missing, wrong or lack a scope
+ */
+function authenticate(req, requiredScopes = ['basic']) {
+  if (getKeys().size === 0) {
+    if (!warnedOpen) {
+      console.warn('API_KEYS is not set: requests are not authenticated');
+      warnedOpen = true;
+    }
+    return null;
+  }
+
+  const keyId = req.headers['x-key-id'];
+  const apiKey = req.headers['x-api-key'];
+
+  let auth;
+  if (keyId) {
+    auth = verifySignature(req, keyId);
+  } else if (apiKey) {
+    auth = verifyApiKey(apiKey);
+  } else {
+    throw new AuthError('Missing credentials: send X-API-Key, or X-Key-Id, X-Timestamp and X-Signature');
+  }
+
+  const missing = requiredScopes.filter(scope => !auth.scopes.includes(scope));
+  if (missing.length > 0) {
+    throw new AuthError(`Key "${auth.keyId}" lacks scope: ${missing.join(', ')}`, 403);
+  }
+
+  return auth;
+}
+
+module.exports = {
+  AuthError,
+  authenticate
+};
@@ -0,0 +1,129 @@
+const { acquireSession } = require('./browser');
+const { classifyError, sendError, invalidRequest } = require('./errors');
+const { parseGameInput } = require('./game-input');
+
+const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE || '50');
+
+/**
+ * Run `worker` over `items` with at most `limit` calls in flight.
+ * Results keep the order of `items`.
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Read batch parameters from a request.
+ * Returns null when the request is not a batch request.
+ * Game IDs may be given in any form parseGameInput() reads (e.g. URLs).
+ * Entries that are not Lichess games do not fail the batch: they are
+ * answered in `errors` with code invalid_request, under what was passed.
+ * @param {string[]} gameIds - Games found some other way (default: the body's gameIds)
+ * @returns {object} { gameIds, invalid: [per-game errors], maxBatchSize, concurrency }
+ */
+function getBatchOptions(req, gameIds = req.body?.gameIds) {
+  if (!Array.isArray(gameIds)) return null;
+
+  const maxConcurrency = parseInt(process.env.MAX_CONCURRENCY || '4');
+  const concurrency = parseInt(req.body?.concurrency || req.query.concurrency || '3');
+
+  const parsed = [];
+  const invalid = [];
+  // Blank entries (e.g. empty sheet rows) are skipped
+  gameIds.filter(id => typeof id !== 'string' || id.trim()).forEach(id => {
+    try {
+      parsed.push(parseGameInput(id).gameId);
+    } catch (e) {
+      invalid.push({ gameId: id, error: e.message, code: 'invalid_request', retryable: false });
+    }
+  });
+
+  return {
+    gameIds: [...new Set(parsed)],
+    invalid,
+    maxBatchSize: MAX_BATCH_SIZE,
+    concurrency: Math.max(1, Math.min(concurrency || 1, maxConcurrency))
+  };
+}
+
+/**
+ * Scrape every game of a batch in one browser session.
+ * `scrapeGame(session, gameId)` must open and close its own page.
+ */
+async function runBatch(batch, scrapeGame) {
+  const session = acquireSession();
+
+  try {
+    const outcomes = await mapWithConcurrency(batch.gameIds, batch.concurrency, async (gameId) => {
+      try {
+        return { gameId, success: true, data: await scrapeGame(session, gameId) };
+      } catch (error) {
+        console.error(`Error fetching game ${gameId}:`, error);
+        // Callers retry the games marked retryable (after retryAfter seconds, if set)
+        const { code, retryable, message, retryAfter } = classifyError(error);
+        const failure = { gameId, success: false, error: message, code, retryable };
+        if (retryAfter !== null) failure.retryAfter = retryAfter;
+        return failure;
+      }
+    });
+
+    return {
+      results: outcomes.filter(o => o.success).map(({ gameId, data }) => ({ gameId, data })),
+      errors: outcomes.filter(o => !o.success).map(({ success, data, ...failure }) => failure)
+    };
+  } finally {
+    await session.release();
+  }
+}
+
+/**
+ * Respond to a batch request, sharing a single browser across all games
+ * @param {function} summarize - Optional: turns the results into the fields
+ *   to send instead of `results` (e.g. an aggregate over all games)
+ */
+async function handleBatch(batch, res, scrapeGame, summarize) {
+  const size = batch.gameIds.length + batch.invalid.length;
+  if (size === 0) {
+    return invalidRequest(res, 'gameIds must be a non-empty array of game IDs');
+  }
+
+  if (size > batch.maxBatchSize) {
+    return invalidRequest(res, `Too many gameIds: ${size} (max ${batch.maxBatchSize})`);
+  }
+
+  try {
+    const { results, errors } = batch.gameIds.length > 0
+      ? await runBatch(batch, scrapeGame)
+      : { results: [], errors: [] };
+
+    return res.status(200).json({
+      success: true,
+      ...(summarize ? summarize(results) : { results: results }),
+      errors: batch.invalid.concat(errors),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error running batch:', error);
+
+    return sendError(res, error);
+  }
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  mapWithConcurrency,
+  getBatchOptions,
+  runBatch,
+  handleBatch
+};
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const puppeteer = require('puppeteer');
+const { getExtensions, getExtensionLaunchOptions } = require('./extensions');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-gpu',
+  '--no-first-run',
+  '--no-zygote'
+];
+
+// Recycle the browser after this many pages, or once Chromium uses this much memory
+const MAX_PAGES_PER_BROWSER = parseInt(process.env.MAX_PAGES_PER_BROWSER || '100');
+const MAX_BROWSER_MEMORY_MB = parseInt(process.env.MAX_BROWSER_MEMORY_MB || '700');
+
+/**
+ * The browser shared by every request on a warm instance:
+ * { browser, pagesOpened, activeSessions, retiring }
+ */
+let current = null;
+let launching = null;
+
+/**
+ * Launch Chromium with settings that work inside Cloud Functions.
+ * `--single-process` saves memory but is unstable with several contexts
+ * open at once, so it is opt-in through CHROMIUM_SINGLE_PROCESS=true.
+ */
+async function launchBrowser() {
+  const args = process.env.CHROMIUM_SINGLE_PROCESS === 'true'
+    ? [...LAUNCH_ARGS, '--single-process']
+    : LAUNCH_ARGS;
+
+  // The "new" headless mode is the one that can run extensions
+  const extensionOptions = getExtensionLaunchOptions();
+
+  console.log('Launching browser...');
+  const browser = await puppeteer.launch({
+    ...extensionOptions,
+    headless: 'new',
+    args: [...args, ...extensionOptions.args]
+  });
+
+  const entry = { browser, pagesOpened: 0, activeSessions: 0, retiring: false };
+  browser.on('disconnected', () => {
+    console.warn('Browser disconnected');
+    if (current === entry) current = null;
+  });
+
+  return entry;
+}
+
+/**
+ * Resident memory of the Chromium browser process in MB (Linux only)
+ */
+function getBrowserMemoryMb(browser) {
+  const pid = browser.process()?.pid;
+  if (!pid) return 0;
+
+  try {
+    const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+    const match = status.match(/^VmRSS:\s+(\d+) kB/m);
+    return match ? parseInt(match[1]) / 1024 : 0;
+  } catch (e) {
+    return 0;
+  }
+}
+
+function needsRecycling(entry) {
+  if (entry.pagesOpened >= MAX_PAGES_PER_BROWSER) {
+    console.log(`Recycling browser after ${entry.pagesOpened} pages`);
+    return true;
+  }
+
+  const memoryMb = getBrowserMemoryMb(entry.browser);
+  if (memoryMb >= MAX_BROWSER_MEMORY_MB) {
+    console.log(`Recycling browser using ${Math.round(memoryMb)}MB`);
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Close a browser that should no longer take new sessions,
+ * as soon as the sessions still using it have finished
+ */
+async function retire(entry) {
+  entry.retiring = true;
+  if (current === entry) current = null;
+
+  if (entry.activeSessions === 0) {
+    await entry.browser.close().catch(e => console.error('Error closing browser:', e));
+  }
+}
+
+/**
+ * Get the warm browser, relaunching it if it crashed or is due for recycling
+ */
+async function getBrowser() {
+  if (current && (!current.browser.isConnected() || needsRecycling(current))) {
+    await retire(current);
+  }
+
+  if (!current) {
+    // Concurrent requests on a cold instance share one launch
+    launching = launching || launchBrowser().finally(() => { launching = null; });
+    current = await launching;
+  }
+
+  return current;
+}
+
+/**
+ * Open the browser context for one session.
+ * Extensions never run in incognito contexts, so when extensions are
+ * loaded every session shares the default context (and its cookies).
+ */
+async function createContext(browser) {
+  if (getExtensions().length > 0) {
+    return browser.defaultBrowserContext();
+  }
+  return browser.createIncognitoBrowserContext();
+}
+
+/**
+ * Start a browsing session for one request.
+ * Each session gets its own incognito context so cookies and storage
+ * never leak between requests sharing the warm browser (unless extensions
+ * are loaded, see createContext). The browser and context are only started
+ * when the first page is opened, so requests that end up not needing a
+ * browser cost nothing.
+ *
+ * Always call `release()` when done, even after an error.
+ */
+function acquireSession() {
+  let entry = null;
+  let opening = null;
+  let released = false;
+
+  // Count the session as soon as it has a browser, so a concurrent
+  // recycle cannot close that browser while the context is being created
+  async function openContext() {
+    entry = await getBrowser();
+    entry.activeSessions++;
+
+    try {
+      return await createContext(entry.browser);
+    } catch (error) {
+      // The browser died between the health check and now: start over once
+      console.warn('Could not open browser context, relaunching:', error.message);
+      entry.activeSessions--;
+      await retire(entry);
+
+      entry = await getBrowser();
+      entry.activeSessions++;
+      try {
+        return await createContext(entry.browser);
+      } catch (retryError) {
+        entry.activeSessions--;
+        throw retryError;
+      }
+    }
+  }
+
+  return {
+    async newPage() {
+      if (released) throw new Error('Browser session already released');
+
+      opening = opening || openContext();
+      const context = await opening;
+
+      entry.pagesOpened++;
+      const page = await context.newPage();
+      await page.setUserAgent(USER_AGENT);
+      return page;
+    },
+
+    async release() {
+      if (released) return;
+      released = true;
+      if (!opening) return;
+
+      const context = await opening.catch(() => null);
+      if (!context) return;
+      entry.activeSessions--;
+
+      if (context.isIncognito()) {
+        await context.close().catch(() => {
+          // The browser may already be gone
+        });
+      }
+
+      if (entry.retiring && entry.activeSessions === 0) {
+        await entry.browser.close().catch(e => console.error('Error closing browser:', e));
+      }
+    }
+  };
+}
+
+module.exports = {
+  USER_AGENT,
+  acquireSession
+};
@@ -0,0 +1,204 @@
+/**
+ * Cache scrape results for finished games
+ *
+ * A finished game never changes, so its scrape result is stored per game ID
+ * and request options and reused until CACHE_TTL_SECONDS runs out. Ongoing
+ * games are never stored. CACHE_STORE picks the backend: "memory" (default,
+ * lives as long as the warm instance), "file" (CACHE_DIR) or "none".
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CACHE_TTL_SECONDS = parseInt(process.env.CACHE_TTL_SECONDS || '86400');
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES || '500');
+
+// Lichess statuses of games that can still change
+const ONGOING_STATUSES = ['created', 'started'];
+
+/**
+ * In-memory store, evicting the least recently used entry when full.
+ * Values are kept serialized so callers can't change what is cached.
+ */
+function createMemoryStore({ maxEntries = CACHE_MAX_ENTRIES } = {}) {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return null;
+
+      entries.set(key, entry);
+      return JSON.parse(entry.value);
+    },
+
+    async set(key, value, ttlSeconds) {
+      entries.delete(key);
+      entries.set(key, { value: JSON.stringify(value), expiresAt: Date.now() + ttlSeconds * 1000 });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    }
+  };
+}
+
+/**
+ * Local filesystem store: one JSON file per entry in `dir`
+ */
+function createFileStore(dir) {
+  const fileFor = key => path.join(dir, `${crypto.createHash('sha256').update(key).digest('hex')}.json`);
+
+  return {
+    async get(key) {
+      let entry;
+      try {
+        entry = JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+      } catch (e) {
+        return null; // Not cached, or a half-written file
+      }
+
+      if (entry.expiresAt <= Date.now()) {
+        await fs.promises.unlink(fileFor(key)).catch(() => {});
+        return null;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      // Write then rename, so readers never see a partial file
+      const file = fileFor(key);
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify({ expiresAt: Date.now() + ttlSeconds * 1000, value }));
+      await fs.promises.rename(tmp, file);
+    }
+  };
+}
+
+let store;
+
+/**
+ * The store configured through CACHE_STORE, or null when caching is off
+ */
+function getCacheStore() {
+  if (store !== undefined) return store;
+
+  const type = (process.env.CACHE_STORE || 'memory').toLowerCase();
+  if (type === 'none') {
+    store = null;
+  } else if (type === 'file') {
+    store = createFileStore(process.env.CACHE_DIR || path.join(os.tmpdir(), 'lichess-cache'));
+  } else if (type === 'memory') {
+    store = createMemoryStore();
+  } else {
+    throw new Error(`Unknown CACHE_STORE: ${type} (use "memory", "file" or "none")`);
+  }
+
+  return store;
+}
+
+/**
+ * Use another store, e.g. one backed by a shared service
+ * @param {object|null} customStore - { async get(key), async set(key, value, ttlSeconds) }
+ */
+function setCacheStore(customStore) {
+  store = customStore;
+}
+
+/**
+ * Cache key for a game scraped with the given options
+ */
+function cacheKey(gameId, options) {
+  const sorted = Object.keys(options).sort().map(key => [key, options[key] ?? null]);
+  return `${gameId}:${JSON.stringify(sorted)}`;
+}
+
+/**
+ * Only games Lichess reports as over are worth keeping
+ */
+function isFinished(gameData) {
+  const status = gameData?.pageInitData?.game?.status?.name;
+  return Boolean(status) && !ONGOING_STATUSES.includes(status);
+}
+
+/**
+ * Scrape a game unless a cached result exists
+ * @param {Function} scrapeGame - (session, gameId) => scrape result
+ * @param {object} options - Everything that changes the result; part of the key
+ * @param {boolean} refresh - Ignore the cached result (a fresh one is still stored)
+ * @returns {object} { gameData, cacheStatus: 'HIT' | 'MISS' | 'BYPASS' }
+ */
+async function scrapeWithCache(session, gameId, scrapeGame, options, refresh = false) {
+  const cache = getCacheStore();
+  if (!cache) {
+    return { gameData: await scrapeGame(session, gameId), cacheStatus: 'BYPASS' };
+  }
+
+  const key = cacheKey(gameId, options);
+
+  if (!refresh) {
+    const cached = await cache.get(key).catch(e => {
+      console.warn(`Cache read failed for ${gameId}: ${e.message}`);
+      return null;
+    });
+    if (cached) {
+      return { gameData: cached, cacheStatus: 'HIT' };
+    }
+  }
+
+  const gameData = await scrapeGame(session, gameId);
+
+  if (isFinished(gameData)) {
+    await cache.set(key, gameData, CACHE_TTL_SECONDS).catch(e => {
+      console.warn(`Cache write failed for ${gameId}: ${e.message}`);
+    });
+  }
+
+  return { gameData, cacheStatus: refresh ? 'BYPASS' : 'MISS' };
+}
+
+/**
+ * Wrap a scraper so it goes through the cache (for batches)
+ */
+function toCachedScraper(scrapeGame, options, refresh) {
+  return async (session, gameId) => (await scrapeWithCache(session, gameId, scrapeGame, options, refresh)).gameData;
+}
+
+/**
+ * Strong ETag for a response body (a document or PGN text)
+ */
+function etagFor(body) {
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  return `"${crypto.createHash('sha1').update(text).digest('base64url')}"`;
+}
+
+/**
+ * Whether the request's If-None-Match covers `etag`
+ */
+function isNotModified(req, etag) {
+  const header = req.headers?.['if-none-match'];
+  if (!header) return false;
+
+  return header.trim() === '*' ||
+    header.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etag);
+}
+
+module.exports = {
+  createMemoryStore,
+  createFileStore,
+  getCacheStore,
+  setCacheStore,
+  cacheKey,
+  isFinished,
+  scrapeWithCache,
+  toCachedScraper,
+  etagFor,
+  isNotModified
+};
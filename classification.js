@@ -0,0 +1,151 @@
+/**
+ * Move classification from the game's analysis
+ *
+ * Like Lichess, a move is judged by the win% its player lost (see
+ * accuracy.js), not by raw pawns, so a pawn dropped in a won position
+ * counts for less than one dropped in a balanced one. Mates are handled
+ * separately: letting a forced mate slip ("missed") or walking into one
+ * ("allowed") is graded by how good the position still was, as lila's
+ * MateAdvice does. Two mate scores for the same side are not judged.
+ */
+
+const { ScraperError } = require('./errors');
+const { toCentipawns, winPercent } = require('./accuracy');
+
+// Win% lost for each label; Lichess uses 5, 10 and 15 (0.1, 0.2, 0.3 in winning chances)
+const DEFAULT_THRESHOLDS = { inaccuracy: 5, mistake: 10, blunder: 15 };
+
+const LABELS = ['inaccuracy', 'mistake', 'blunder'];
+
+// Lichess's evaluation of the start position
+const INITIAL_EVAL = { cp: 15, mate: null };
+
+/**
+ * Read `thresholds` from a request: an object, or JSON in the query string.
+ * Missing labels keep their default.
+ * @throws {ScraperError} invalid_request unless 0 < inaccuracy < mistake < blunder <= 100
+ */
+function parseThresholds(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_THRESHOLDS;
+
+  let given = value;
+  if (typeof value === 'string') {
+    try {
+      given = JSON.parse(value);
+    } catch (e) {
+      throw new ScraperError('invalid_request', 'thresholds must be JSON, e.g. {"blunder": 20}');
+    }
+  }
+  if (typeof given !== 'object' || Array.isArray(given)) {
+    throw new ScraperError('invalid_request', 'thresholds must be an object of win% losses');
+  }
+
+  const unknown = Object.keys(given).filter(key => !LABELS.includes(key));
+  if (unknown.length > 0) {
+    throw new ScraperError('invalid_request', `Unknown thresholds: ${unknown.join(', ')} (use ${LABELS.join(', ')})`);
+  }
+
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...given };
+  const valid = LABELS.every(label => typeof thresholds[label] === 'number' && thresholds[label] > 0 && thresholds[label] <= 100) &&
+    thresholds.inaccuracy < thresholds.mistake && thresholds.mistake < thresholds.blunder;
+  if (!valid) {
+    throw new ScraperError('invalid_request', 'thresholds must be win% losses with 0 < inaccuracy < mistake < blunder <= 100');
+  }
+
+  return thresholds;
+}
+
+/**
+ * Mate distance from the mover's point of view: positive when the mover mates
+ */
+function moverMate(evaluation, white) {
+  if (evaluation.mate === null || evaluation.mate === undefined) return null;
+  return white ? evaluation.mate : -evaluation.mate;
+}
+
+function gradeByWinPercentLoss(loss, thresholds) {
+  if (loss >= thresholds.blunder) return 'blunder';
+  if (loss >= thresholds.mistake) return 'mistake';
+  if (loss >= thresholds.inaccuracy) return 'inaccuracy';
+  return null;
+}
+
+/**
+ * Judge one move from the evaluations before and after it
+ * @returns {object} { label, mate, winPercentLoss }
+ */
+function judgeMove(before, after, white, thresholds) {
+  const sign = white ? 1 : -1;
+  const cpBefore = toCentipawns(before) * sign;
+  const cpAfter = toCentipawns(after) * sign;
+  const winPercentLoss = Math.max(0, winPercent(cpBefore) - winPercent(cpAfter));
+
+  const mateBefore = moverMate(before, white);
+  const mateAfter = moverMate(after, white);
+
+  // Had a forced mate, and now does not (or is getting mated)
+  if (mateBefore > 0 && (mateAfter === null || mateAfter < 0)) {
+    const label = mateAfter === null && cpAfter > 999 ? 'inaccuracy' : mateAfter === null && cpAfter > 700 ? 'mistake' : 'blunder';
+    return { label, mate: 'missed', winPercentLoss };
+  }
+
+  // Now getting mated, and was not before
+  if (mateBefore === null && mateAfter < 0) {
+    const label = cpBefore < -999 ? 'inaccuracy' : cpBefore < -700 ? 'mistake' : 'blunder';
+    return { label, mate: 'allowed', winPercentLoss };
+  }
+
+  if (mateBefore !== null || mateAfter !== null) {
+    return { label: null, mate: null, winPercentLoss };
+  }
+
+  return { label: gradeByWinPercentLoss(winPercentLoss, thresholds), mate: null, winPercentLoss };
+}
+
+function emptySummary() {
+  return { inaccuracy: 0, mistake: 0, blunder: 0, missedMate: 0, allowedMate: 0 };
+}
+
+/**
+ * Classify every evaluated move and count the labels per side
+ * @param {object[]} moves - Normalized moves ({ color, san, eval, checkmate })
+ * @param {object} thresholds - From parseThresholds()
+ * @returns {object|null} { moves: [per ply: { label, mate, winPercentLoss, best } or null],
+ *   summary: { thresholds, white, black } }, or null when nothing is evaluated.
+ *   `label` is "inaccuracy", "mistake", "blunder" or null for a fine move;
+ *   `mate` is "missed", "allowed" or null.
+ */
+function classifyMoves(moves, thresholds = DEFAULT_THRESHOLDS) {
+  if (!moves.some(move => move.eval)) return null;
+
+  const summary = { thresholds, white: emptySummary(), black: emptySummary() };
+
+  const classified = moves.map((move, index) => {
+    const before = index === 0 ? INITIAL_EVAL : moves[index - 1].eval;
+    const mated = move.checkmate || move.san.endsWith('#');
+
+    // Delivering mate needs no judging (the final position often has no evaluation)
+    if (mated) return { label: null, mate: null, winPercentLoss: 0, best: null };
+    if (!before || !move.eval) return null;
+
+    const judgement = judgeMove(before, move.eval, move.color === 'white', thresholds);
+    const side = summary[move.color];
+    if (judgement.label) side[judgement.label] += 1;
+    if (judgement.mate === 'missed') side.missedMate += 1;
+    if (judgement.mate === 'allowed') side.allowedMate += 1;
+
+    return {
+      ...judgement,
+      winPercentLoss: Math.round(judgement.winPercentLoss * 10) / 10,
+      best: move.eval.best
+    };
+  });
+
+  return { moves: classified, summary };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  parseThresholds,
+  classifyMoves
+};
@@ -89,6 +89,44 @@ esac
 
 echo "Memory: $MEMORY"
 
+# Function timeout; follow=true stops in time to answer within it (see follow.js)
+TIMEOUT_SECONDS=${TIMEOUT_SECONDS:-120}
+
+# Environment variables, separated by "|" because API_KEYS is JSON and contains commas
+ENV_VARS="NODE_ENV=production|FUNCTION_TIMEOUT_SECONDS=$TIMEOUT_SECONDS"
+
+# Load unpacked extensions shipped in ./extensions (one subdirectory each)
+if [ -d extensions ]; then
+    ENV_VARS="$ENV_VARS|EXTENSIONS_DIR=extensions"
+    echo ""
+    echo "🧩 Extensions found in ./extensions, they will be loaded in the browser"
+fi
+
+# Hosts follow=true may POST callbacks to (see follow.js)
+if [ -n "${FOLLOW_CALLBACK_HOSTS+x}" ]; then
+    ENV_VARS="$ENV_VARS|FOLLOW_CALLBACK_HOSTS=$FOLLOW_CALLBACK_HOSTS"
+fi
+
+# Arbitrary customScript code is off unless ALLOW_CUSTOM_SCRIPT=true is set in your shell
+if [ "$ENTRY_POINT" == "fetchLichessGameAdvanced" ]; then
+    echo ""
+    if [ "$ALLOW_CUSTOM_SCRIPT" == "true" ]; then
+        ENV_VARS="$ENV_VARS|ALLOW_CUSTOM_SCRIPT=true"
+        echo "⚠️  ALLOW_CUSTOM_SCRIPT=true: keys with the inject scope can run any JavaScript in the browser"
+    else
+        echo "🔒 customScript is disabled; only the named scripts run (ALLOW_CUSTOM_SCRIPT=true enables it)"
+    fi
+fi
+
+# Require API keys (see auth.js) when API_KEYS is set in your shell
+echo ""
+if [ -n "$API_KEYS" ]; then
+    ENV_VARS="$ENV_VARS|API_KEYS=$API_KEYS"
+    echo "🔐 API_KEYS is set, requests must be authenticated"
+else
+    echo "⚠️  API_KEYS is not set: anyone with the URL can call the function"
+fi
+
 # Confirm deployment
 echo ""
 echo "==================================="
@@ -99,7 +137,7 @@ echo "Region: $REGION"
 echo "Function: fetchLichessGame"
 echo "Entry Point: $ENTRY_POINT"
 echo "Memory: $MEMORY"
-echo "Timeout: 120s"
+echo "Timeout: ${TIMEOUT_SECONDS}s"
 echo "==================================="
 echo ""
 read -p "Deploy with these settings? (y/n): " CONFIRM
@@ -121,9 +159,9 @@ gcloud functions deploy fetchLichessGame \
   --allow-unauthenticated \
   --region $REGION \
   --memory $MEMORY \
-  --timeout 120s \
+  --timeout ${TIMEOUT_SECONDS}s \
   --entry-point $ENTRY_POINT \
-  --set-env-vars NODE_ENV=production
+  --set-env-vars "^|^$ENV_VARS"
 
 if [ $? -eq 0 ]; then
     echo ""
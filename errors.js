@@ -0,0 +1,156 @@
+/**
+ * Error codes shared by both handlers
+ *
+ * Every failure is answered with a machine-readable `code`, the matching
+ * HTTP status and a `retryable` flag, so callers can tell a game that will
+ * never load from a hiccup worth retrying. Stack traces are only included
+ * when DEBUG=true.
+ */
+
+const DEBUG = process.env.DEBUG === 'true';
+
+const ERROR_TYPES = {
+  invalid_request: { status: 400, retryable: false },
+  unauthorized: { status: 401, retryable: false },
+  forbidden: { status: 403, retryable: false },
+  game_not_found: { status: 404, retryable: false },
+  user_not_found: { status: 404, retryable: false },
+  // Also answered for private studies, which Lichess does not tell apart
+  study_not_found: { status: 404, retryable: false },
+  // A puzzle or tournament page Lichess does not have (see page-extractors.js)
+  page_not_found: { status: 404, retryable: false },
+  // The page loaded but has no game data (e.g. a private game)
+  game_unavailable: { status: 422, retryable: false },
+  // The same for other page types, e.g. a closed account's profile
+  page_unavailable: { status: 422, retryable: false },
+  rate_limited: { status: 429, retryable: true },
+  internal_error: { status: 500, retryable: false },
+  // Lichess sent something we could not read (page-init-data, export JSON, moves)
+  parse_error: { status: 502, retryable: false },
+  // Lichess kept failing (5xx) or refused us (403)
+  upstream_blocked: { status: 502, retryable: true },
+  browser_crash: { status: 503, retryable: true },
+  timeout: { status: 504, retryable: true }
+};
+
+/**
+ * An error with a code from ERROR_TYPES
+ */
+class ScraperError extends Error {
+  constructor(code, message, { retryAfter = null } = {}) {
+    super(message);
+    this.name = 'ScraperError';
+    this.code = code;
+    this.status = ERROR_TYPES[code].status;
+    this.retryable = ERROR_TYPES[code].retryable;
+    this.retryAfter = retryAfter; // Seconds
+  }
+}
+
+// What Puppeteer says when Chromium or one of its pages went away
+const CRASH_MESSAGE = /Target closed|Session closed|browser has disconnected|Page crashed|Failed to launch the browser|Protocol error/i;
+
+// Connection failures from Chromium (net::ERR_...) and fetch
+const NETWORK_MESSAGE = /net::ERR_|fetch failed/;
+
+function codeFor(error) {
+  if (error.code && ERROR_TYPES[error.code]) return error.code;
+
+  switch (error.name) {
+    case 'AuthError':
+      return error.status === 403 ? 'forbidden' : 'unauthorized';
+    case 'ScriptRegistryError':
+    case 'GameInputError':
+      return 'invalid_request';
+    case 'LichessApiError':
+      return error.status === 404 ? 'game_not_found' : 'upstream_blocked';
+    case 'UpstreamStatusError':
+      return 'upstream_blocked';
+    case 'IllegalMoveError':
+    case 'PgnParseError':
+    // From JSON.parse of Lichess data; the caller's own scripts are reported
+    // as invalid_request before they get here (see page-scraper.js)
+    case 'SyntaxError':
+      return 'parse_error';
+    case 'TimeoutError':
+      return 'timeout';
+    case 'TargetCloseError':
+      return 'browser_crash';
+  }
+
+  if (CRASH_MESSAGE.test(error.message)) return 'browser_crash';
+  if (NETWORK_MESSAGE.test(error.message)) return 'upstream_blocked';
+  return 'internal_error';
+}
+
+/**
+ * Describe any error as { code, status, retryable, message, retryAfter }
+ */
+function classifyError(error) {
+  const code = codeFor(error);
+  return {
+    code,
+    status: ERROR_TYPES[code].status,
+    retryable: ERROR_TYPES[code].retryable,
+    message: error.message,
+    retryAfter: error.retryAfter ?? null
+  };
+}
+
+/**
+ * The error fields of a response body
+ */
+function errorBody(error) {
+  const { code, retryable, message, retryAfter } = classifyError(error);
+  const body = { success: false, error: message, code, retryable };
+
+  if (retryAfter !== null) body.retryAfter = retryAfter;
+  if (DEBUG && error.stack) body.stack = error.stack;
+
+  return body;
+}
+
+/**
+ * Answer a request with an error
+ * @param {object} extra - More fields for the body, e.g. { gameId } or { usage }
+ */
+function sendError(res, error, extra = {}) {
+  const { status, retryAfter } = classifyError(error);
+
+  if (retryAfter !== null) {
+    res.set('Retry-After', String(retryAfter));
+  }
+  return res.status(status).json({ ...errorBody(error), ...extra });
+}
+
+/**
+ * Shorthand for request validation failures
+ */
+function invalidRequest(res, message, usage) {
+  return sendError(res, new ScraperError('invalid_request', message), usage ? { usage } : {});
+}
+
+/**
+ * Fail when a scraped page had no usable page-init-data
+ * @throws {ScraperError} parse_error if the data was there but unreadable,
+ *   game_unavailable if the page had none
+ */
+async function checkPageInitData(page, gameId, pageInitData) {
+  if (pageInitData?.game) return;
+
+  const hasScript = await page.evaluate(() => Boolean(document.getElementById('page-init-data')));
+  if (hasScript) {
+    throw new ScraperError('parse_error', `Could not read the game data on the page of ${gameId}`);
+  }
+  throw new ScraperError('game_unavailable', `No game data on the page of ${gameId} (private or not a game)`);
+}
+
+module.exports = {
+  ERROR_TYPES,
+  ScraperError,
+  classifyError,
+  errorBody,
+  sendError,
+  invalidRequest,
+  checkPageInitData
+};
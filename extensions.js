@@ -0,0 +1,151 @@
+/**
+ * Load unpacked browser extensions (e.g. Lichess Tools) into the headless
+ * browser and report what they store and inject
+ *
+ * Every subdirectory of EXTENSIONS_DIR that holds a manifest.json is loaded.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const EXTENSIONS_DIR = process.env.EXTENSIONS_DIR || '';
+
+// Elements extensions add to the page. Lichess Tools prefixes its classes with "lichessTools".
+const EXTENSION_DOM_SELECTOR = process.env.EXTENSION_DOM_SELECTOR ||
+  '[class*="lichessTools"], [id*="lichessTools"], [data-lichess-tools]';
+
+let extensions = null;
+
+/**
+ * Chrome derives an unpacked extension's ID from its manifest key, or from
+ * its absolute path when there is no key: the first 32 hex digits of a
+ * SHA-256, written with the letters a-p
+ */
+function extensionId(extensionPath, manifest) {
+  const source = manifest.key ? Buffer.from(manifest.key, 'base64') : Buffer.from(extensionPath);
+  const hex = crypto.createHash('sha256').update(source).digest('hex').substring(0, 32);
+  return hex.replace(/./g, c => String.fromCharCode('a'.charCodeAt(0) + parseInt(c, 16)));
+}
+
+/**
+ * The configured extensions: [{ id, name, version, path }]
+ */
+function getExtensions() {
+  if (extensions) return extensions;
+  extensions = [];
+  if (!EXTENSIONS_DIR) return extensions;
+
+  const root = path.resolve(EXTENSIONS_DIR);
+  fs.readdirSync(root, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .forEach(entry => {
+      const extensionPath = path.join(root, entry.name);
+      const manifestPath = path.join(extensionPath, 'manifest.json');
+      if (!fs.existsSync(manifestPath)) return;
+
+      try {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        extensions.push({
+          id: extensionId(extensionPath, manifest),
+          name: manifest.name,
+          version: manifest.version,
+          path: extensionPath
+        });
+      } catch (e) {
+        console.error(`Skipping extension ${entry.name}: invalid manifest.json`, e);
+      }
+    });
+
+  console.log(`Loaded ${extensions.length} extension(s) from ${root}`);
+  return extensions;
+}
+
+/**
+ * Extra puppeteer.launch() options to load the configured extensions
+ */
+function getExtensionLaunchOptions() {
+  const paths = getExtensions().map(extension => extension.path).join(',');
+  if (!paths) return { args: [] };
+
+  return {
+    args: [`--disable-extensions-except=${paths}`, `--load-extension=${paths}`],
+    // Puppeteer disables extensions by default
+    ignoreDefaultArgs: ['--disable-extensions']
+  };
+}
+
+/**
+ * Read an extension's chrome.storage.local through its service worker
+ * (Manifest V3) or background page (Manifest V2)
+ */
+async function readExtensionStorage(browser, extension) {
+  const isBackground = target =>
+    ['service_worker', 'background_page'].includes(target.type()) &&
+    target.url().startsWith(`chrome-extension://${extension.id}/`);
+
+  let target = browser.targets().find(isBackground);
+  if (!target) {
+    // Service workers are started lazily; give it a moment
+    target = await browser.waitForTarget(isBackground, { timeout: 2000 }).catch(() => null);
+  }
+  if (!target) {
+    return { storage: null, storageError: 'No service worker or background page running' };
+  }
+
+  try {
+    const context = target.type() === 'service_worker' ? await target.worker() : await target.page();
+    const storage = await context.evaluate(() => chrome.storage.local.get(null));
+    return { storage };
+  } catch (e) {
+    return { storage: null, storageError: e.message };
+  }
+}
+
+/**
+ * Collect what the loaded extensions did to a page
+ * @param {Page} page - The scraped page, after extensions had time to run
+ * @param {object} windowData - Window properties probed in the page
+ * @returns {object} { loaded, injectedDom, window }
+ */
+async function collectExtensionData(page, windowData) {
+  const browser = page.browser();
+
+  const loaded = await Promise.all(getExtensions().map(async extension => ({
+    id: extension.id,
+    name: extension.name,
+    version: extension.version,
+    ...await readExtensionStorage(browser, extension)
+  })));
+
+  const injectedDom = await page.evaluate((selector) => {
+    const elements = new Set(document.querySelectorAll(selector));
+
+    // Anything loading resources from an extension was put there by one
+    document.querySelectorAll('[src^="chrome-extension://"], [href^="chrome-extension://"], [style*="chrome-extension://"]')
+      .forEach(el => elements.add(el));
+
+    return Array.from(elements).map(el => ({
+      tag: el.tagName,
+      id: el.id,
+      classes: typeof el.className === 'string' ? el.className : '',
+      attributes: Array.from(el.attributes).map(attr => ({
+        name: attr.name,
+        value: attr.value
+      })),
+      text: el.textContent.substring(0, 300)
+    }));
+  }, EXTENSION_DOM_SELECTOR);
+
+  return {
+    loaded,
+    injectedDom,
+    window: windowData || {}
+  };
+}
+
+module.exports = {
+  getExtensions,
+  getExtensionLaunchOptions,
+  collectExtensionData
+};
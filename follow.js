@@ -0,0 +1,298 @@
+/**
+ * Follow a live game until it ends
+ *
+ * Opens the game page as a spectator and listens to the page's Lichess
+ * socket: every `move` message is recorded (and optionally POSTed to a
+ * callback URL) until an `end` message arrives or the time limit is hit.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const { gameUrl } = require('./lichess-api');
+const { navigate } = require('./upstream');
+const { ScraperError, checkPageInitData } = require('./errors');
+
+// The deployed function timeout (deploy.sh sets it next to --timeout; 60s is
+// the platform default). Following stops FOLLOW_MARGIN_SECONDS before it, so
+// there is time to read the game again and answer.
+const FUNCTION_TIMEOUT_SECONDS = parseInt(process.env.FUNCTION_TIMEOUT_SECONDS || '60');
+const FOLLOW_MARGIN_SECONDS = 30;
+
+const MAX_FOLLOW_SECONDS = Math.max(1, Math.min(
+  parseInt(process.env.MAX_FOLLOW_SECONDS || '540'),
+  FUNCTION_TIMEOUT_SECONDS - FOLLOW_MARGIN_SECONDS
+));
+const DEFAULT_FOLLOW_SECONDS = 300;
+
+// Longest wait for the last callbacks to be delivered, and for the game to be read again
+const FLUSH_TIMEOUT_MS = 10000;
+const REREAD_TIMEOUT_MS = 15000;
+
+const LIVE_STATUSES = ['created', 'started'];
+
+// Hosts callbacks may be POSTed to, comma-separated. The default is where
+// Apps Script web apps (like doPost in GoogleAppScript.js) are deployed.
+const CALLBACK_HOSTS = (process.env.FOLLOW_CALLBACK_HOSTS ?? 'script.google.com')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Addresses a callback must never reach: this machine, private networks,
+// link-local (including the metadata server), CGNAT, multicast and reserved
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check that a callback URL is https, on an allowed host, and does not
+ * resolve to an internal address
+ * @throws {ScraperError} invalid_request otherwise
+ */
+async function checkCallbackUrl(callbackUrl) {
+  let url;
+  try {
+    url = new URL(callbackUrl);
+  } catch (e) {
+    throw new ScraperError('invalid_request', 'callbackUrl must be a URL');
+  }
+
+  if (url.protocol !== 'https:') {
+    throw new ScraperError('invalid_request', 'callbackUrl must be an https URL');
+  }
+  if (url.username || url.password) {
+    throw new ScraperError('invalid_request', 'callbackUrl must not contain credentials');
+  }
+
+  const host = url.hostname.toLowerCase();
+  if (!CALLBACK_HOSTS.includes(host)) {
+    throw new ScraperError('invalid_request', CALLBACK_HOSTS.length > 0
+      ? `callbackUrl host must be one of ${CALLBACK_HOSTS.join(', ')} (FOLLOW_CALLBACK_HOSTS)`
+      : 'Callbacks are disabled (FOLLOW_CALLBACK_HOSTS is empty)');
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host.replace(/^\[|\]$/g, ''), { all: true });
+  } catch (e) {
+    throw new ScraperError('invalid_request', `callbackUrl host ${host} does not resolve`);
+  }
+  const blocked = addresses.find(({ address, family }) => BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+  if (blocked) {
+    throw new ScraperError('invalid_request', `callbackUrl host ${host} resolves to an internal address (${blocked.address})`);
+  }
+}
+
+/**
+ * Read follow parameters from a request. maxDuration is capped so the
+ * follow ends before the function times out, counting from now.
+ * callbackToken is sent back in every callback, so the receiver can tell
+ * them from anyone else's POSTs.
+ * @returns {Promise<object>} { maxDurationMs, deadline, callbackUrl, callbackToken }
+ * @throws {ScraperError} invalid_request if callbackUrl is not allowed (see
+ *   checkCallbackUrl), or callbackToken is not a string of at most 200 characters
+ */
+async function getFollowOptions(req) {
+  const seconds = parseInt(req.query.maxDuration || req.body?.maxDuration || DEFAULT_FOLLOW_SECONDS);
+  const callbackUrl = req.query.callbackUrl || req.body?.callbackUrl || null;
+  const callbackToken = req.body?.callbackToken ?? req.query.callbackToken ?? null;
+
+  if (callbackUrl) {
+    await checkCallbackUrl(String(callbackUrl));
+  }
+  if (callbackToken !== null && (typeof callbackToken !== 'string' || !callbackToken || callbackToken.length > 200)) {
+    throw new ScraperError('invalid_request', 'callbackToken must be a string of at most 200 characters');
+  }
+
+  return {
+    maxDurationMs: Math.max(1, Math.min(seconds || DEFAULT_FOLLOW_SECONDS, MAX_FOLLOW_SECONDS)) * 1000,
+    deadline: Date.now() + MAX_FOLLOW_SECONDS * 1000,
+    callbackUrl,
+    callbackToken
+  };
+}
+
+/**
+ * POST events to the callback URL one at a time, in order.
+ * Delivery failures are logged and never stop the follow. Redirects are
+ * not followed, so a callback cannot bounce the POST to a host that was
+ * not checked; Apps Script answers its web app POSTs with a redirect
+ * after running doPost, so that still counts as delivered. Each event
+ * carries `token` when the request gave a callbackToken.
+ */
+function createNotifier(callbackUrl, callbackToken) {
+  let queue = Promise.resolve();
+
+  return {
+    send(event) {
+      if (!callbackUrl) return;
+      queue = queue.then(() => fetch(callbackUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(callbackToken ? { ...event, token: callbackToken } : event),
+        redirect: 'manual',
+        signal: AbortSignal.timeout(10000)
+      })).then(response => {
+        if (response.status >= 400) console.warn(`Callback returned ${response.status}`);
+      }).catch(e => console.warn(`Callback failed: ${e.message}`));
+    },
+    flush() {
+      return queue;
+    }
+  };
+}
+
+/**
+ * Socket messages may arrive one by one or batched as { t: 'b', d: [...] }
+ */
+function unbatch(message) {
+  return message.t === 'b' && Array.isArray(message.d) ? message.d : [message];
+}
+
+/**
+ * The page's page-init-data, or null
+ */
+function readPageInitData(page) {
+  return page.evaluate(() => {
+    const script = document.getElementById('page-init-data');
+    try {
+      return script ? JSON.parse(script.textContent.trim()) : null;
+    } catch (e) {
+      return null;
+    }
+  });
+}
+
+/**
+ * Load the game page again for the moves, status and winner as they are
+ * now. Keeps the earlier snapshot if that fails.
+ */
+async function rereadGame(page, url, pageInitData) {
+  try {
+    await navigate(page, url, { waitUntil: 'domcontentloaded', timeout: REREAD_TIMEOUT_MS });
+    const current = await readPageInitData(page);
+    if (current?.game) return current;
+    console.warn(`No game data when reading ${url} again, keeping the first snapshot`);
+  } catch (e) {
+    console.warn(`Could not read ${url} again, keeping the first snapshot: ${e.message}`);
+  }
+  return pageInitData;
+}
+
+/**
+ * Watch a game until it ends or `maxDurationMs` has passed
+ * @returns {object} Scrape result with the page-init-data read again when
+ *   following stopped, and { moves, finished, endReason, winner, status } under `follow`
+ */
+async function followGame(session, gameId, { maxDurationMs, deadline, callbackUrl, callbackToken }) {
+  const page = await session.newPage();
+  const notifier = createNotifier(callbackUrl, callbackToken);
+  const moves = [];
+  const result = { finished: false, endReason: 'maxDuration', winner: null, status: null };
+
+  try {
+    // Listen to the socket before the page opens it
+    const client = await page.target().createCDPSession();
+    await client.send('Network.enable');
+
+    let resolveEnd;
+    const ended = new Promise(resolve => { resolveEnd = resolve; });
+
+    client.on('Network.webSocketFrameReceived', ({ response }) => {
+      let message;
+      try {
+        message = JSON.parse(response.payloadData);
+      } catch (e) {
+        return; // Keep-alive pings are plain numbers
+      }
+      if (!message || typeof message !== 'object') return;
+
+      unbatch(message).forEach(msg => {
+        if (msg.t === 'move' && msg.d) {
+          const move = {
+            ply: msg.d.ply,
+            san: msg.d.san,
+            uci: msg.d.uci,
+            fen: msg.d.fen,
+            clock: msg.d.clock ? { white: msg.d.clock.white, black: msg.d.clock.black } : null,
+            timestamp: new Date().toISOString()
+          };
+          // Reconnects can replay a move we already have
+          if (moves.some(m => m.ply === move.ply)) return;
+          moves.push(move);
+          notifier.send({ event: 'move', gameId, move });
+        } else if (msg.t === 'endData' || msg.t === 'end') {
+          result.finished = true;
+          result.endReason = 'finished';
+          if (msg.t === 'endData' && msg.d) {
+            result.winner = msg.d.winner || null;
+            result.status = msg.d.status?.name || null;
+          } else if (typeof msg.d === 'string') {
+            result.winner = msg.d;
+          }
+          resolveEnd();
+        }
+      });
+    });
+
+    const url = gameUrl(gameId);
+    console.log(`Following game: ${url}`);
+    await navigate(page, url, { waitUntil: 'networkidle2', timeout: 30000 });
+
+    let pageInitData = await readPageInitData(page);
+
+    await checkPageInitData(page, gameId, pageInitData);
+
+    const initialStatus = pageInitData?.game?.status?.name;
+    if (initialStatus && !LIVE_STATUSES.includes(initialStatus)) {
+      // Nothing to follow: the game was already over
+      result.finished = true;
+      result.endReason = 'alreadyFinished';
+      result.winner = pageInitData.game.winner || null;
+      result.status = initialStatus;
+    } else {
+      // Opening the page took some of the time the function has left
+      const waitMs = Math.max(0, Math.min(maxDurationMs, deadline - Date.now()));
+      let timer;
+      const timeout = new Promise(resolve => { timer = setTimeout(resolve, waitMs); });
+      await Promise.race([ended, timeout]);
+      clearTimeout(timer);
+
+      // The snapshot from when following started misses everything since
+      await client.detach().catch(() => {});
+      pageInitData = await rereadGame(page, url, pageInitData);
+
+      // The end message can be missed, e.g. while the socket reconnects
+      const status = pageInitData?.game?.status?.name;
+      if (!result.finished && status && !LIVE_STATUSES.includes(status)) {
+        result.finished = true;
+        result.endReason = 'finished';
+        result.winner = pageInitData.game.winner || null;
+        result.status = status;
+      }
+    }
+
+    notifier.send({ event: 'end', gameId, ...result, moveCount: moves.length });
+    await Promise.race([notifier.flush(), new Promise(resolve => setTimeout(resolve, FLUSH_TIMEOUT_MS))]);
+
+    return {
+      source: 'browser',
+      pageInitData,
+      extensionData: null,
+      follow: { moves, ...result }
+    };
+  } finally {
+    await page.close();
+  }
+}
+
+module.exports = {
+  getFollowOptions,
+  followGame
+};
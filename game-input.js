@@ -0,0 +1,129 @@
+/**
+ * Game input parsing, shared by the Cloud Functions and the Apps Script client
+ *
+ * Users paste games in many forms: a game ID, a player's 12-character ID,
+ * a game URL (with /white or /black and a #ply), an embed link or a PGN
+ * export link. All of them become the canonical 8-character game ID, plus
+ * the orientation and ply when the input had them. Only an exact match is
+ * accepted, so an input can never point the browser at another Lichess page.
+ *
+ * This file is a plain script: Node requires it as a module, and in Apps
+ * Script (add it to the project as game-input.gs) its functions are globals.
+ */
+
+const GAME_ID_PATTERN = /^[a-zA-Z0-9]{8}$/;
+
+// Game ID plus 4 characters identifying the player. Those 4 characters let
+// whoever has them play for that player, so they are dropped, never echoed.
+const PLAYER_ID_PATTERN = /^[a-zA-Z0-9]{12}$/;
+
+// Lichess pages whose names have the shape of a game ID: lichess.org/training
+// is the puzzle trainer, not a game, and so on
+const RESERVED_PATHS = [
+  'analysis', 'features', 'insights', 'password',
+  'practice', 'streamer', 'timeline', 'training'
+];
+
+// lichess.org, with or without scheme, www. or a language subdomain
+const LICHESS_HOST_PATTERN = /^(?:https?:\/\/)?(?:www\.|[a-z]{2}\.)?lichess\.org(?=\/|$)/i;
+
+const INPUT_EXAMPLES = 'e.g. Bm5DQUPZ or https://lichess.org/Bm5DQUPZ/black#34';
+
+class GameInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GameInputError';
+  }
+}
+
+/**
+ * The path segments of a lichess.org URL, or null for anything else
+ */
+function lichessPath(input) {
+  const rest = input.trim().replace(/[?#].*$/, '');
+  const host = rest.match(LICHESS_HOST_PATTERN);
+  if (!host) return null;
+  return rest.slice(host[0].length).split('/').filter(segment => segment !== '');
+}
+
+/**
+ * The game ID in a path segment, or null (also for reserved page names)
+ */
+function gameIdFromSegment(segment) {
+  if (RESERVED_PATHS.includes(segment)) return null;
+  if (GAME_ID_PATTERN.test(segment)) return segment;
+  if (PLAYER_ID_PATTERN.test(segment)) return segment.slice(0, 8);
+  return null;
+}
+
+/**
+ * The game and orientation named by the segments of a Lichess path:
+ * {id}, {id}/{color}, embed/{id}, embed/game/{id}[/{color}] or game/export/{id}[.pgn]
+ */
+function matchGamePath(segments) {
+  if (segments[0] === 'game' && segments[1] === 'export') {
+    const gameId = segments.length === 3 ? gameIdFromSegment(segments[2].replace(/\.pgn$/, '')) : null;
+    return { gameId, orientation: null };
+  }
+
+  let rest = segments;
+  if (rest[0] === 'embed') rest = rest.slice(rest[1] === 'game' ? 2 : 1);
+
+  const gameId = rest.length >= 1 && rest.length <= 2 ? gameIdFromSegment(rest[0]) : null;
+  const orientation = rest.length === 2 ? rest[1] : null;
+  if (orientation !== null && orientation !== 'white' && orientation !== 'black') return null;
+
+  return { gameId, orientation };
+}
+
+/**
+ * Parse a game ID or Lichess game URL
+ * @param {string} input - e.g. "Bm5DQUPZ", "Bm5DQUPZab12", "https://lichess.org/Bm5DQUPZ/black#34",
+ *   "https://lichess.org/embed/game/Bm5DQUPZ" or "https://lichess.org/game/export/Bm5DQUPZ.pgn".
+ *   "training", "https://lichess.org/analysis" and other Lichess pages
+ *   named like a game ID (RESERVED_PATHS) are rejected.
+ * @returns {object} { gameId, orientation: "white", "black" or null, ply: number or null }
+ * @throws {GameInputError} When the input is not a Lichess game
+ */
+function parseGameInput(input) {
+  if (typeof input !== 'string' || !input.trim()) {
+    throw new GameInputError(`Missing game ID (${INPUT_EXAMPLES})`);
+  }
+
+  const shown = input.length > 100 ? `${input.slice(0, 100)}...` : input;
+  let rest = input.trim();
+
+  // #34 is the ply Lichess opens the game at
+  let ply = null;
+  const hash = rest.indexOf('#');
+  if (hash !== -1) {
+    const fragment = rest.slice(hash + 1);
+    if (/^\d+$/.test(fragment)) ply = parseInt(fragment, 10);
+    rest = rest.slice(0, hash);
+  }
+  rest = rest.replace(/\?.*$/, '');
+
+  const host = rest.match(LICHESS_HOST_PATTERN);
+  if (host) {
+    rest = rest.slice(host[0].length);
+  } else if (/^[a-z][a-z0-9+.-]*:/i.test(rest) || /^[^/]+\.[a-z]{2,}(\/|$)/i.test(rest)) {
+    throw new GameInputError(`Not a lichess.org URL: ${shown}`);
+  }
+
+  const segments = rest.split('/').filter(segment => segment !== '');
+  const match = matchGamePath(segments);
+  if (!match || !match.gameId) {
+    throw new GameInputError(`Not a Lichess game ID or game URL: ${shown} (${INPUT_EXAMPLES})`);
+  }
+
+  return { gameId: match.gameId, orientation: match.orientation, ply };
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    LICHESS_HOST_PATTERN,
+    GameInputError,
+    lichessPath,
+    parseGameInput
+  };
+}
@@ -1,266 +1,186 @@
-const puppeteer = require('puppeteer');
+const { getBatchOptions, handleBatch } = require('./batch');
+const { buildPgn, toPgnScraper } = require('./pgn');
+const { parseNetworkFilter } = require('./network-capture');
+const { buildDocument, toDocumentScraper } = require('./schema');
+const { parseThresholds } = require('./classification');
+const { scrapeWithCache, toCachedScraper } = require('./cache');
+const { authenticate } = require('./auth');
+const { ScraperError, sendError, invalidRequest } = require('./errors');
+const { listScripts, resolveScripts } = require('./script-registry');
+const { parseGameInput } = require('./game-input');
+const { listExtractors, getExtractor, getPageTarget } = require('./page-extractors');
+const { getStudyOptions, handleStudy } = require('./study');
+const { scrapePage, serveDocument, handlePage } = require('./page-scraper');
+
+// Only the named scripts from script-registry.js run, unless ALLOW_CUSTOM_SCRIPT=true
+const ALLOW_CUSTOM_SCRIPT = process.env.ALLOW_CUSTOM_SCRIPT === 'true';
+
+/**
+ * Scrape a single game page, injecting `customScript` if given, running the
+ * resolved registry `scripts` and recording network traffic that matches `networkFilter`
+ */
+function scrapeGame(session, gameId, options) {
+  return scrapePage(session, getExtractor('game'), { gameId }, { ...options, deep: true, captureNetwork: true });
+}
 
 /**
  * Advanced Google Cloud Function with extension code injection support
  * This version can inject custom JavaScript to simulate extension behavior
+ *
+ * POST {"gameIds": [...]} to scrape several games in one browser session;
+ * customScript, scripts, waitTime and networkFilter then apply to every game.
+ * scripts=["accuracy", ...] runs named scripts from script-registry.js;
+ * listScripts=true describes them.
+ * url=... scrapes any Lichess page a page extractor handles: games,
+ * puzzles, tournaments and user profiles (see page-extractors.js);
+ * listPageTypes=true describes them. Studies and broadcast rounds, by url=...
+ * or study=..., come from their PGN export as in the basic function (see study.js).
+ * Add format=pgn to get PGN instead of JSON.
+ * JSON responses follow response.schema.json; raw=true adds the DOM,
+ * localStorage and other unprocessed page data.
+ * thresholds={"blunder": 20, ...} tunes move classification (see classification.js).
+ * Finished games are cached (see cache.js); refresh=true skips the cached copy.
+ * Requests must be authenticated once API_KEYS is set (see auth.js).
  */
 exports.fetchLichessGameAdvanced = async (req, res) => {
   res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Expose-Headers', 'ETag, X-Cache');
   
   if (req.method === 'OPTIONS') {
     res.set('Access-Control-Allow-Methods', 'GET, POST');
-    res.set('Access-Control-Allow-Headers', 'Content-Type');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, If-None-Match, X-API-Key, X-Key-Id, X-Timestamp, X-Signature');
     res.set('Access-Control-Max-Age', '3600');
     return res.status(204).send('');
   }
 
-  const gameId = req.query.gameId || req.body?.gameId;
   const customScript = req.body?.customScript; // Custom JS to inject
-  const waitTime = parseInt(req.query.waitTime || req.body?.waitTime || '5000');
-  
-  if (!gameId) {
-    return res.status(400).json({ 
-      error: 'Missing gameId parameter'
-    });
-  }
 
-  let browser = null;
-  
+  // Running scripts in our browser needs its own scope
   try {
-    browser = await puppeteer.launch({
-      headless: 'new',
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--no-first-run',
-        '--no-zygote',
-        '--single-process'
-      ]
-    });
-
-    const page = await browser.newPage();
-    
-    // Intercept and modify requests if needed
-    await page.setRequestInterception(true);
-    page.on('request', request => {
-      request.continue();
-    });
-
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-    
-    const url = `https://lichess.org/${gameId}`;
-    console.log(`Fetching game: ${url}`);
-    
-    await page.goto(url, { 
-      waitUntil: 'networkidle2',
-      timeout: 30000 
-    });
-
-    // If custom script provided, inject it
-    if (customScript) {
-      console.log('Injecting custom script...');
-      await page.evaluate(customScript);
-    }
-
-    // Wait for dynamic content and potential extension modifications
-    console.log(`Waiting ${waitTime}ms for content to load...`);
-    await page.waitForTimeout(waitTime);
+    authenticate(req, customScript ? ['basic', 'inject'] : ['basic']);
+  } catch (e) {
+    return sendError(res, e);
+  }
 
-    // Capture network requests that might contain data
-    const requests = [];
-    page.on('response', async (response) => {
-      const url = response.url();
-      if (url.includes('api') || url.includes('game')) {
-        try {
-          const data = await response.json();
-          requests.push({ url, data });
-        } catch (e) {
-          // Not JSON
-        }
-      }
+  if (customScript && !ALLOW_CUSTOM_SCRIPT) {
+    return sendError(res, new ScraperError('forbidden', 'customScript is disabled on this deployment'), {
+      usage: 'Use scripts with names from listScripts=true, or deploy with ALLOW_CUSTOM_SCRIPT=true'
     });
+  }
 
-    // Extract comprehensive data
-    const gameData = await page.evaluate(() => {
-      const data = {
-        pageInitData: null,
-        extensionData: {},
-        dom: {},
-        localStorage: {},
-        cookies: {},
-        computedData: {}
-      };
-
-      // Standard page init data
-      const pageInitScript = document.getElementById('page-init-data');
-      if (pageInitScript) {
-        try {
-          data.pageInitData = JSON.parse(pageInitScript.textContent.trim());
-        } catch (e) {
-          console.error('Error parsing page-init-data:', e);
-        }
-      }
-
-      // Scan window object thoroughly
-      const windowKeys = Object.keys(window);
-      const interestingKeys = windowKeys.filter(key => {
-        const keyLower = key.toLowerCase();
-        return keyLower.includes('lichess') || 
-               keyLower.includes('extension') || 
-               keyLower.includes('chess') ||
-               keyLower.includes('tool') ||
-               keyLower.includes('plugin') ||
-               key.startsWith('__') ||
-               key.startsWith('_');
-      });
-      
-      interestingKeys.forEach(key => {
-        try {
-          const value = window[key];
-          if (value !== null && value !== undefined) {
-            // Try to serialize the value
-            if (typeof value === 'object') {
-              data.extensionData[key] = JSON.parse(JSON.stringify(value));
-            } else if (typeof value === 'function') {
-              data.extensionData[key] = value.toString().substring(0, 200);
-            } else {
-              data.extensionData[key] = value;
-            }
-          }
-        } catch (e) {
-          data.extensionData[key] = '[Error accessing property]';
-        }
-      });
-
-      // Extract localStorage (extension data often stored here)
-      try {
-        Object.keys(localStorage).forEach(key => {
-          try {
-            const value = localStorage.getItem(key);
-            if (key.toLowerCase().includes('lichess') || 
-                key.toLowerCase().includes('chess') ||
-                key.toLowerCase().includes('extension')) {
-              data.localStorage[key] = value;
-            }
-          } catch (e) {
-            // Skip
-          }
-        });
-      } catch (e) {
-        console.error('Cannot access localStorage');
-      }
-
-      // Extract relevant DOM data
-      data.dom.title = document.title;
-      data.dom.url = window.location.href;
-      
-      // Game moves
-      const moveElements = document.querySelectorAll('.moves move, move');
-      if (moveElements.length > 0) {
-        data.dom.moves = Array.from(moveElements).map(m => m.textContent.trim());
-      }
+  if (req.query.listScripts === 'true') {
+    return res.status(200).json({ success: true, scripts: listScripts() });
+  }
+  if (req.query.listPageTypes === 'true') {
+    return res.status(200).json({ success: true, pageTypes: listExtractors() });
+  }
 
-      // Player info
-      const playerElements = document.querySelectorAll('.ruser, .player');
-      if (playerElements.length > 0) {
-        data.dom.players = Array.from(playerElements).map(p => ({
-          text: p.textContent.trim(),
-          classes: p.className
-        }));
-      }
+  let scripts;
+  try {
+    scripts = resolveScripts(req.body?.scripts || req.query.scripts);
+  } catch (e) {
+    return sendError(res, e);
+  }
 
-      // Analysis/evaluation data
-      const evalElements = document.querySelectorAll('[data-eval], .eval, .evaluation');
-      if (evalElements.length > 0) {
-        data.dom.evaluations = Array.from(evalElements).map(e => ({
-          eval: e.getAttribute('data-eval'),
-          text: e.textContent.trim()
-        }));
-      }
+  const waitTime = parseInt(req.query.waitTime || req.body?.waitTime || '5000');
 
-      // Extension-specific selectors (common patterns)
-      const extensionSelectors = [
-        '[data-lichess-tools]',
-        '[data-extension]',
-        '[class*="extension"]',
-        '[class*="tool"]',
-        '[class*="enhanced"]',
-        '[id*="extension"]',
-        '[id*="tool"]'
-      ];
+  let networkFilter;
+  try {
+    networkFilter = parseNetworkFilter(req.query.networkFilter || req.body?.networkFilter);
+  } catch (e) {
+    return invalidRequest(res, `Invalid networkFilter: ${e.message}`);
+  }
 
-      extensionSelectors.forEach(selector => {
-        try {
-          const elements = document.querySelectorAll(selector);
-          if (elements.length > 0) {
-            const key = selector.replace(/[\[\]"'*]/g, '');
-            data.dom[key] = Array.from(elements).map(el => ({
-              tag: el.tagName,
-              id: el.id,
-              classes: el.className,
-              attributes: Array.from(el.attributes).map(attr => ({
-                name: attr.name,
-                value: attr.value
-              })),
-              text: el.textContent.substring(0, 300)
-            }));
-          }
-        } catch (e) {
-          // Skip invalid selectors
-        }
-      });
+  const format = (req.query.format || req.body?.format || 'json').toLowerCase();
+  if (!['json', 'pgn'].includes(format)) {
+    return invalidRequest(res, `Unknown format: ${format}`, 'format must be "json" (default) or "pgn"');
+  }
 
-      // Computed game data
-      const rmoves = document.querySelectorAll('.rmoves move');
-      if (rmoves.length > 0) {
-        data.computedData.moveCount = rmoves.length;
-      }
+  const raw = req.query.raw === 'true' || req.body?.raw === true;
 
-      // Extract any JSON in script tags
-      const scripts = document.querySelectorAll('script:not([src])');
-      const jsonScripts = [];
-      scripts.forEach(script => {
-        const content = script.textContent.trim();
-        if (content.startsWith('{') || content.startsWith('[')) {
-          try {
-            const json = JSON.parse(content);
-            jsonScripts.push(json);
-          } catch (e) {
-            // Not valid JSON
-          }
-        }
-      });
-      if (jsonScripts.length > 0) {
-        data.computedData.jsonScripts = jsonScripts;
-      }
+  let thresholds;
+  try {
+    thresholds = parseThresholds(req.body?.thresholds ?? req.query.thresholds);
+  } catch (e) {
+    return sendError(res, e);
+  }
+  const documentOptions = { raw, thresholds };
+
+  const refresh = req.query.refresh === 'true' || req.body?.refresh === true;
+  const cacheOptions = {
+    handler: 'advanced',
+    customScript,
+    scripts: scripts.map(({ name, version, params }) => ({ name, version, params })),
+    waitTime,
+    networkFilter: networkFilter?.source
+  };
+  const scrape = (session, gameId) => scrapeGame(session, gameId, { customScript, scripts, waitTime, networkFilter });
+
+  // url=... goes to the extractor for its page type (see page-extractors.js)
+  let target;
+  try {
+    target = getPageTarget(req);
+  } catch (e) {
+    return sendError(res, e);
+  }
+  if (target) {
+    const combined = ['gameId', 'gameIds', 'study'].filter(name => req.body?.[name] ?? req.query[name]);
+    if (combined.length > 0) {
+      return invalidRequest(res, `url cannot be combined with ${combined.join(', ')}`);
+    }
+  }
 
-      return data;
+  // Studies and broadcast rounds come from their PGN export, as in the basic function
+  let study;
+  try {
+    study = target?.extractor.type === 'study' ? target.target : getStudyOptions(req);
+  } catch (e) {
+    return sendError(res, e);
+  }
+  if (study) {
+    const combined = ['gameId', 'gameIds', 'customScript', 'scripts', 'networkFilter'].filter(name => req.body?.[name] ?? req.query[name]);
+    if (combined.length > 0) {
+      return invalidRequest(res, `study cannot be combined with ${combined.join(', ')}`);
+    }
+    return handleStudy(study, req, res, format);
+  }
+  if (target && target.extractor.type !== 'game') {
+    return handlePage(target, req, res, {
+      format,
+      raw,
+      deep: true,
+      customScript,
+      scripts,
+      waitTime,
+      captureNetwork: true,
+      networkFilter
     });
+  }
 
-    await browser.close();
-    browser = null;
-
-    return res.status(200).json({
-      success: true,
-      gameId: gameId,
-      data: gameData,
-      timestamp: new Date().toISOString()
-    });
+  const batch = getBatchOptions(req);
+  if (batch) {
+    const cached = toCachedScraper(scrape, cacheOptions, refresh);
+    return handleBatch(batch, res, format === 'pgn' ? toPgnScraper(cached) : toDocumentScraper(cached, documentOptions));
+  }
 
-  } catch (error) {
-    console.error('Error fetching game:', error);
-    
-    if (browser) {
-      await browser.close();
-    }
+  if (!target && !req.query.gameId && !req.body?.gameId) {
+    return invalidRequest(res, 'Missing gameId parameter');
+  }
 
-    return res.status(500).json({
-      success: false,
-      error: error.message,
-      stack: error.stack,
-      gameId: gameId
-    });
+  let input;
+  try {
+    input = target ? target.target : parseGameInput(req.query.gameId || req.body?.gameId);
+  } catch (e) {
+    return invalidRequest(res, e.message);
   }
+  const { gameId } = input;
+
+  return serveDocument(req, res, async session => {
+    const { gameData, cacheStatus } = await scrapeWithCache(session, gameId, scrape, cacheOptions, refresh);
+
+    const body = format === 'pgn'
+      ? buildPgn(gameData.pageInitData)
+      : buildDocument(gameId, gameData, { ...documentOptions, input });
+    return { body, cacheStatus };
+  }, { format, what: 'game', context: { gameId } });
 };
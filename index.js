@@ -1,168 +1,264 @@
-const puppeteer = require('puppeteer');
+const { MAX_BATCH_SIZE, getBatchOptions, handleBatch } = require('./batch');
+const { buildPgn, toPgnScraper } = require('./pgn');
+const { fetchGameFromApi } = require('./lichess-api');
+const { getFollowOptions, followGame } = require('./follow');
+const { buildDocument, toDocumentScraper } = require('./schema');
+const { parseThresholds } = require('./classification');
+const { getRepertoireOptions, buildRepertoire } = require('./repertoire');
+const { getUserImportOptions, listUserGames } = require('./user-games');
+const { scrapeWithCache, toCachedScraper } = require('./cache');
+const { authenticate } = require('./auth');
+const { sendError, invalidRequest } = require('./errors');
+const { parseGameInput } = require('./game-input');
+const { getStudyOptions, handleStudy } = require('./study');
+const { getExtractor, getPageTarget } = require('./page-extractors');
+const { scrapePage, serveDocument, handlePage } = require('./page-scraper');
+
+const MODES = ['api', 'browser', 'auto'];
+
+/**
+ * Scrape a single game page in a browser session
+ */
+function scrapeGame(session, gameId) {
+  return scrapePage(session, getExtractor('game'), { gameId });
+}
+
+/**
+ * Fetch a game through the export API, the browser, or both
+ *
+ * - api: export API only
+ * - browser: Puppeteer only
+ * - auto: export API, unless the caller needs DOM/window data (`dom`);
+ *   falls back to the browser if the API fails for any reason other
+ *   than the game not existing or Lichess rate limiting us
+ */
+async function fetchGame(session, gameId, { mode, dom }) {
+  if (mode === 'browser' || (mode === 'auto' && dom)) {
+    return scrapeGame(session, gameId);
+  }
+
+  try {
+    return await fetchGameFromApi(gameId);
+  } catch (error) {
+    // Falling back would only hit a rate-limited Lichess again
+    if (mode === 'api' || error.status === 404 || error.code === 'rate_limited') throw error;
+    console.warn(`Export API failed for ${gameId}, falling back to browser: ${error.message}`);
+    return scrapeGame(session, gameId);
+  }
+}
 
 /**
  * Google Cloud Function to scrape Lichess game data with Puppeteer
  * Includes extension-injected data
+ *
+ * POST {"gameIds": [...]} to scrape several games in one browser session.
+ * Add format=pgn to get PGN instead of JSON.
+ * mode=api|browser|auto picks between the export API and Puppeteer.
+ * follow=true watches a live game until it ends (see follow.js).
+ * JSON responses follow response.schema.json; raw=true adds the unprocessed page data.
+ * thresholds={"blunder": 20, ...} tunes move classification (see classification.js).
+ * POST {"gameIds": [...], "repertoire": "username"} returns that player's
+ * opening tree over the games instead of the games (see repertoire.js).
+ * user=NAME imports that user's games a page at a time, with optional since,
+ * until, perfType, rated and max; pass the returned cursor back for the
+ * next page (see user-games.js).
+ * study=ID, study=ID/CHAPTER or a study or broadcast round URL returns the
+ * chapters with their variations, comments and shapes (see study.js).
+ * url=... takes any Lichess page a page extractor handles: games, studies,
+ * puzzles, tournaments and user profiles (see page-extractors.js).
+ * Finished games are cached (see cache.js); refresh=true skips the cached copy.
+ * Requests must be authenticated once API_KEYS is set (see auth.js).
  */
 exports.fetchLichessGame = async (req, res) => {
   // Enable CORS
   res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Expose-Headers', 'ETag, X-Cache');
   
   if (req.method === 'OPTIONS') {
     res.set('Access-Control-Allow-Methods', 'GET, POST');
-    res.set('Access-Control-Allow-Headers', 'Content-Type');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, If-None-Match, X-API-Key, X-Key-Id, X-Timestamp, X-Signature');
     res.set('Access-Control-Max-Age', '3600');
     return res.status(204).send('');
   }
 
-  const gameId = req.query.gameId || req.body?.gameId;
-  
-  if (!gameId) {
-    return res.status(400).json({ 
-      error: 'Missing gameId parameter',
-      usage: 'Call with ?gameId=YOUR_GAME_ID or POST with {"gameId": "YOUR_GAME_ID"}'
-    });
+  try {
+    authenticate(req, ['basic']);
+  } catch (e) {
+    return sendError(res, e);
   }
 
-  let browser = null;
-  
+  // Scripts only run in the advanced function; silently ignoring them would look like they found nothing
+  const advanced = ['scripts', 'customScript'].filter(name => req.body?.[name] ?? req.query[name]);
+  if (advanced.length > 0) {
+    return invalidRequest(res, `The basic function does not run ${advanced.join(' or ')}`, 'Call fetchLichessGameAdvanced (index-advanced.js) instead');
+  }
+
+  const format = (req.query.format || req.body?.format || 'json').toLowerCase();
+  if (!['json', 'pgn'].includes(format)) {
+    return invalidRequest(res, `Unknown format: ${format}`, 'format must be "json" (default) or "pgn"');
+  }
+
+  // url=... goes to the extractor for its page type (see page-extractors.js)
+  let target;
   try {
-    // Launch browser with appropriate settings for Cloud Functions
-    browser = await puppeteer.launch({
-      headless: 'new',
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--no-first-run',
-        '--no-zygote',
-        '--single-process'
-      ]
-    });
-
-    const page = await browser.newPage();
-    
-    // Set user agent
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-    
-    // Navigate to the game page
-    const url = `https://lichess.org/${gameId}`;
-    console.log(`Fetching game: ${url}`);
-    
-    await page.goto(url, { 
-      waitUntil: 'networkidle2',
-      timeout: 30000 
-    });
-
-    // Wait a bit for any dynamic content or extensions to load
-    await page.waitForTimeout(3000);
-
-    // Extract all the data
-    const gameData = await page.evaluate(() => {
-      const data = {
-        pageInitData: null,
-        extensionData: null,
-        additionalData: {}
-      };
-
-      // Extract the standard page-init-data
-      const pageInitScript = document.getElementById('page-init-data');
-      if (pageInitScript) {
-        try {
-          data.pageInitData = JSON.parse(pageInitScript.textContent.trim());
-        } catch (e) {
-          console.error('Error parsing page-init-data:', e);
-        }
-      }
+    target = getPageTarget(req);
+  } catch (e) {
+    return sendError(res, e);
+  }
+  if (target) {
+    const combined = ['gameId', 'gameIds', 'user', 'repertoire', 'study'].filter(name => req.body?.[name] ?? req.query[name]);
+    if (combined.length > 0) {
+      return invalidRequest(res, `url cannot be combined with ${combined.join(', ')}`);
+    }
+  }
+  const pageType = target ? target.extractor.type : null;
 
-      // Look for extension-injected data
-      // Extensions often add data to window object or custom script tags
-      
-      // Check window object for common extension data patterns
-      const windowKeys = Object.keys(window).filter(key => 
-        key.includes('lichess') || 
-        key.includes('extension') || 
-        key.includes('chess') ||
-        key.startsWith('__')
-      );
-      
-      if (windowKeys.length > 0) {
-        data.extensionData = {};
-        windowKeys.forEach(key => {
-          try {
-            const value = window[key];
-            if (typeof value === 'object' || typeof value === 'string' || typeof value === 'number') {
-              data.extensionData[key] = value;
-            }
-          } catch (e) {
-            // Skip properties that can't be accessed
-          }
-        });
-      }
+  // Studies and broadcast rounds come from their PGN export, never the browser
+  let study;
+  try {
+    study = pageType === 'study' ? target.target : getStudyOptions(req);
+  } catch (e) {
+    return sendError(res, e);
+  }
+  if (study) {
+    const combined = ['gameId', 'gameIds', 'user', 'repertoire', 'follow'].filter(name => req.body?.[name] ?? req.query[name]);
+    if (combined.length > 0) {
+      return invalidRequest(res, `study cannot be combined with ${combined.join(', ')}`);
+    }
+    return handleStudy(study, req, res, format);
+  }
 
-      // Extract additional useful data from the page
-      data.additionalData.title = document.title;
-      data.additionalData.url = window.location.href;
-      
-      // Get move list if available
-      const moves = document.querySelectorAll('.moves move');
-      if (moves.length > 0) {
-        data.additionalData.moves = Array.from(moves).map(m => m.textContent);
-      }
+  const mode = (req.query.mode || req.body?.mode || process.env.DEFAULT_MODE || 'browser').toLowerCase();
+  if (!MODES.includes(mode)) {
+    return invalidRequest(res, `Unknown mode: ${mode}`, 'mode must be "api", "browser" or "auto"');
+  }
 
-      // Get analysis data if available
-      const analysisElements = document.querySelectorAll('[data-analysis]');
-      if (analysisElements.length > 0) {
-        data.additionalData.analysis = Array.from(analysisElements).map(el => ({
-          analysis: el.getAttribute('data-analysis'),
-          text: el.textContent
-        }));
-      }
+  const dom = req.query.dom === 'true' || req.body?.dom === true;
+  const raw = req.query.raw === 'true' || req.body?.raw === true;
+  const follow = req.query.follow === 'true' || req.body?.follow === true;
 
-      // Check for any custom data attributes that extensions might add
-      const customDataElements = document.querySelectorAll('[data-lichess-tools], [data-extension], [class*="extension"]');
-      if (customDataElements.length > 0) {
-        data.additionalData.extensionElements = Array.from(customDataElements).map(el => ({
-          tagName: el.tagName,
-          className: el.className,
-          attributes: Array.from(el.attributes).map(attr => ({
-            name: attr.name,
-            value: attr.value
-          })),
-          textContent: el.textContent.substring(0, 500) // Limit length
-        }));
-      }
+  // Puzzles, tournaments and profiles are only read in the browser
+  if (target && pageType !== 'game') {
+    if (follow) {
+      return invalidRequest(res, 'follow only works with games');
+    }
+    return handlePage(target, req, res, { format, raw });
+  }
+
+  let thresholds;
+  try {
+    thresholds = parseThresholds(req.body?.thresholds ?? req.query.thresholds);
+  } catch (e) {
+    return sendError(res, e);
+  }
+  const documentOptions = { raw, thresholds };
 
-      return data;
-    });
+  const refresh = req.query.refresh === 'true' || req.body?.refresh === true;
+  const cacheOptions = { handler: 'basic', mode, dom };
+  const scrape = (session, gameId) => fetchGame(session, gameId, { mode, dom });
 
-    // Get the full HTML as well
-    const html = await page.content();
-    gameData.htmlLength = html.length;
+  let followOptions = null;
+  if (follow) {
+    if (format === 'pgn') {
+      return invalidRequest(res, 'follow only returns JSON');
+    }
+    try {
+      followOptions = await getFollowOptions(req);
+    } catch (e) {
+      return sendError(res, e);
+    }
+  }
 
-    await browser.close();
-    browser = null;
+  let repertoire;
+  try {
+    repertoire = getRepertoireOptions(req);
+  } catch (e) {
+    return sendError(res, e);
+  }
+  if (repertoire && format === 'pgn') {
+    return invalidRequest(res, 'repertoire only returns JSON');
+  }
 
-    // Return the data
-    return res.status(200).json({
-      success: true,
-      gameId: gameId,
-      data: gameData,
-      timestamp: new Date().toISOString()
-    });
+  let userImport;
+  try {
+    userImport = getUserImportOptions(req, MAX_BATCH_SIZE);
+  } catch (e) {
+    return sendError(res, e);
+  }
 
-  } catch (error) {
-    console.error('Error fetching game:', error);
-    
-    if (browser) {
-      await browser.close();
+  // A user import lists one page of the user's games, then runs it as a batch
+  let page = null;
+  if (userImport) {
+    if (follow) {
+      return invalidRequest(res, 'follow cannot be combined with user');
+    }
+    try {
+      page = await listUserGames(userImport);
+    } catch (error) {
+      console.error('Error listing games:', error);
+      return sendError(res, error, { user: userImport.username });
+    }
+    if (userImport.listOnly) {
+      return res.status(200).json({
+        success: true,
+        user: userImport.username,
+        gameIds: page.gameIds,
+        cursor: page.cursor,
+        timestamp: new Date().toISOString()
+      });
     }
+  }
+
+  const batch = getBatchOptions(req, page ? page.gameIds : undefined);
+  if (batch) {
+    if (follow) {
+      return invalidRequest(res, 'follow cannot be combined with gameIds');
+    }
+    const cached = toCachedScraper(scrape, cacheOptions, refresh);
+
+    let summarize = repertoire
+      ? results => ({ repertoire: buildRepertoire(results.map(result => result.data), repertoire.player, repertoire) })
+      : results => ({ results });
+    if (page) {
+      const summarizeGames = summarize;
+      summarize = results => ({ ...summarizeGames(results), user: userImport.username, cursor: page.cursor });
+
+      // Past the user's last game
+      if (batch.gameIds.length === 0) {
+        return res.status(200).json({ success: true, ...summarize([]), errors: [], timestamp: new Date().toISOString() });
+      }
+    }
+
+    const scraper = format === 'pgn' ? toPgnScraper(cached) : toDocumentScraper(cached, documentOptions);
+    return handleBatch(batch, res, scraper, summarize);
+  }
+
+  if (repertoire) {
+    return invalidRequest(res, 'repertoire needs gameIds or user', 'POST {"gameIds": [...], "repertoire": "username"}');
+  }
+
+  const usage = 'Call with ?gameId=YOUR_GAME_ID or POST with {"gameId": "YOUR_GAME_ID"} (a game URL works too)';
+  if (!target && !req.query.gameId && !req.body?.gameId) {
+    return invalidRequest(res, 'Missing gameId parameter', usage);
+  }
 
-    return res.status(500).json({
-      success: false,
-      error: error.message,
-      gameId: gameId
-    });
+  // Any ID or URL form becomes the canonical game ID, so only game pages are ever opened
+  let input;
+  try {
+    input = target ? target.target : parseGameInput(req.query.gameId || req.body?.gameId);
+  } catch (e) {
+    return invalidRequest(res, e.message, usage);
   }
+  const { gameId } = input;
+
+  return serveDocument(req, res, async session => {
+    const { gameData, cacheStatus } = follow
+      ? { gameData: await followGame(session, gameId, followOptions), cacheStatus: 'BYPASS' }
+      : await scrapeWithCache(session, gameId, scrape, cacheOptions, refresh);
+
+    const body = format === 'pgn'
+      ? buildPgn(gameData.pageInitData)
+      : buildDocument(gameId, gameData, { ...documentOptions, input });
+    return { body, cacheStatus };
+  }, { format, what: 'game', context: { gameId } });
 };
@@ -0,0 +1,114 @@
+/**
+ * Lichess game export API client
+ *
+ * Finished public games can be fetched as JSON from /game/export/{id},
+ * which is far cheaper than rendering the page in a headless browser.
+ * LICHESS_BASE_URL points both the API and the browser at another host,
+ * e.g. a local stand-in server for testing.
+ */
+
+const { fetchLichess } = require('./upstream');
+
+const LICHESS_BASE_URL = (process.env.LICHESS_BASE_URL || 'https://lichess.org').replace(/\/$/, '');
+
+const VARIANT_NAMES = {
+  standard: 'Standard',
+  chess960: 'Chess960',
+  fromPosition: 'From Position',
+  kingOfTheHill: 'King of the Hill',
+  threeCheck: 'Three-check',
+  antichess: 'Antichess',
+  atomic: 'Atomic',
+  horde: 'Horde',
+  racingKings: 'Racing Kings',
+  crazyhouse: 'Crazyhouse'
+};
+
+/**
+ * Thrown when the export API answers with an error status
+ */
+class LichessApiError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'LichessApiError';
+    this.status = status;
+  }
+}
+
+/**
+ * URL of a game page on Lichess (or the configured stand-in)
+ */
+function gameUrl(gameId) {
+  return `${LICHESS_BASE_URL}/${gameId}`;
+}
+
+/**
+ * Fetch a game from the export API
+ * @param {string} gameId - The Lichess game ID
+ * @returns {object} The exported game JSON
+ */
+async function fetchGameExport(gameId) {
+  const params = new URLSearchParams({
+    moves: 'true',
+    clocks: 'true',
+    evals: 'true',
+    opening: 'true',
+    literate: 'false'
+  });
+  const url = `${LICHESS_BASE_URL}/game/export/${encodeURIComponent(gameId)}?${params}`;
+  console.log(`Fetching game export: ${url}`);
+
+  // Throttled, and retried if Lichess answers 429 or 5xx
+  const response = await fetchLichess(url, 'application/json', `export of ${gameId}`);
+
+  if (response.status === 404) {
+    throw new LichessApiError(`Game not found: ${gameId}`, 404);
+  }
+  if (!response.ok) {
+    throw new LichessApiError(`Lichess export API returned ${response.status} for ${gameId}`, response.status);
+  }
+
+  return response.json();
+}
+
+/**
+ * Reshape an exported game into the page-init-data layout the browser
+ * scraper returns, so callers see one shape whichever path was used
+ */
+function toPageInitData(exported) {
+  const { analysis, ...game } = exported;
+  const variant = exported.variant || 'standard';
+
+  return {
+    game: {
+      ...game,
+      variant: { key: variant, name: VARIANT_NAMES[variant] || variant },
+      status: { name: exported.status }
+    },
+    analysis: analysis || null
+  };
+}
+
+/**
+ * Fetch a game through the export API, in the same shape as a browser scrape
+ */
+async function fetchGameFromApi(gameId) {
+  const exported = await fetchGameExport(gameId);
+
+  return {
+    source: 'api',
+    pageInitData: toPageInitData(exported),
+    extensionData: null,
+    dom: {
+      url: gameUrl(gameId)
+    }
+  };
+}
+
+module.exports = {
+  LICHESS_BASE_URL,
+  LichessApiError,
+  gameUrl,
+  fetchGameExport,
+  fetchGameFromApi
+};
@@ -0,0 +1,177 @@
+const { Chess } = require('chess.js');
+const { STANDARD_FEN, getPlies } = require('./pgn');
+
+// Variants whose rules chess.js implements
+const SUPPORTED_VARIANTS = ['standard', 'fromPosition'];
+
+const PIECE_VALUES = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 0 };
+
+/**
+ * Thrown when a move cannot be parsed or is illegal in its position
+ */
+class IllegalMoveError extends Error {
+  constructor(message, { ply, san, fen }) {
+    super(message);
+    this.name = 'IllegalMoveError';
+    this.ply = ply;
+    this.san = san;
+    this.fen = fen;
+  }
+}
+
+/**
+ * Replay a game's moves with a real move generator
+ * @param {object} pageInitData - Parsed page-init-data
+ * @returns {object[]|null} One entry per ply, or null when there are no
+ *   moves or the variant is not supported
+ */
+function replayGame(pageInitData) {
+  const game = pageInitData?.game;
+  if (!game) return null;
+
+  const variant = game.variant?.key || 'standard';
+  if (!SUPPORTED_VARIANTS.includes(variant)) {
+    console.log(`Skipping move replay for unsupported variant: ${variant}`);
+    return null;
+  }
+
+  const sanMoves = getPlies(pageInitData).map(ply => ply.san);
+  if (sanMoves.length === 0) return null;
+
+  return replayMoves(sanMoves, game.initialFen);
+}
+
+/**
+ * Replay SAN moves from a starting position
+ * @param {string[]} sanMoves - Moves in SAN
+ * @param {string} initialFen - Starting position (standard position if omitted)
+ * @returns {object[]} { ply, moveNumber, color, san, uci, fen, check,
+ *   checkmate, capture, castle, promotion, material } for every ply
+ */
+function replayMoves(sanMoves, initialFen = STANDARD_FEN) {
+  let chess;
+  try {
+    chess = new Chess(initialFen || STANDARD_FEN);
+  } catch (e) {
+    throw new IllegalMoveError(`Invalid initial FEN "${initialFen}": ${e.message}`, { ply: 0, fen: initialFen });
+  }
+
+  return sanMoves.map((san, index) => {
+    const fenBefore = chess.fen();
+    const moveNumber = chess.moveNumber();
+
+    let move;
+    try {
+      move = chess.move(san);
+    } catch (e) {
+      move = null;
+    }
+
+    if (!move) {
+      throw new IllegalMoveError(
+        `Illegal or unparseable move "${san}" at ply ${index + 1} (position ${fenBefore})`,
+        { ply: index + 1, san, fen: fenBefore }
+      );
+    }
+
+    return {
+      ply: index + 1,
+      moveNumber,
+      color: move.color === 'w' ? 'white' : 'black',
+      san: move.san,
+      uci: move.from + move.to + (move.promotion || ''),
+      fen: move.after,
+      check: chess.inCheck(),
+      checkmate: chess.isCheckmate(),
+      capture: move.captured || null,
+      castle: move.flags.includes('k') ? 'kingside' : move.flags.includes('q') ? 'queenside' : null,
+      promotion: move.promotion || null,
+      material: getMaterial(chess)
+    };
+  });
+}
+
+/**
+ * Number and replay a move tree (see pgn-parser.js) in place. Each node gets
+ * its ply (counted from the start position), moveNumber and color, and with
+ * `legal` its normalized SAN, UCI and FEN; variations are replayed from the
+ * position before the move they replace.
+ * @param {boolean} legal - false for variants chess.js does not implement:
+ *   moves are only numbered, uci and fen stay null
+ * @throws {IllegalMoveError} When a move is illegal in its position
+ */
+function replayTree(line, initialFen = STANDARD_FEN, legal = true) {
+  const fen = initialFen || STANDARD_FEN;
+  const [, side, , , , fullmove] = fen.split(' ');
+
+  let chess = null;
+  if (legal) {
+    try {
+      chess = new Chess(fen);
+    } catch (e) {
+      throw new IllegalMoveError(`Invalid initial FEN "${fen}": ${e.message}`, { ply: 0, fen });
+    }
+  }
+
+  replayLine(line, { chess, ply: 0, white: side !== 'b', moveNumber: parseInt(fullmove) || 1 });
+}
+
+function replayLine(line, start) {
+  const chess = start.chess ? new Chess(start.chess.fen()) : null;
+  let { ply, white, moveNumber } = start;
+
+  line.forEach(node => {
+    const before = { chess, ply, white, moveNumber };
+    node.variations.forEach(variation => replayLine(variation, before));
+
+    node.ply = ++ply;
+    node.moveNumber = moveNumber;
+    node.color = white ? 'white' : 'black';
+
+    if (chess) {
+      const fenBefore = chess.fen();
+      let move;
+      try {
+        move = chess.move(node.san);
+      } catch (e) {
+        move = null;
+      }
+      if (!move) {
+        throw new IllegalMoveError(
+          `Illegal or unparseable move "${node.san}" at ply ${node.ply} (position ${fenBefore})`,
+          { ply: node.ply, san: node.san, fen: fenBefore }
+        );
+      }
+
+      node.san = move.san;
+      node.uci = move.from + move.to + (move.promotion || '');
+      node.fen = move.after;
+    }
+
+    if (!white) moveNumber++;
+    white = !white;
+  });
+}
+
+/**
+ * Material for each side in pawns, and white's advantage
+ */
+function getMaterial(chess) {
+  const material = { white: 0, black: 0, balance: 0 };
+
+  chess.board().forEach(rank => rank.forEach(square => {
+    if (!square) return;
+    material[square.color === 'w' ? 'white' : 'black'] += PIECE_VALUES[square.type];
+  }));
+
+  material.balance = material.white - material.black;
+  return material;
+}
+
+module.exports = {
+  SUPPORTED_VARIANTS,
+  IllegalMoveError,
+  replayGame,
+  replayMoves,
+  replayTree
+};
@@ -0,0 +1,205 @@
+/**
+ * Record JSON XHR/fetch responses and WebSocket frames while a page loads
+ *
+ * Lichess loads analysis and live game data over XHR and its WebSocket,
+ * and much of it never appears in page-init-data. Capture has to be
+ * started before navigation to see any of it.
+ */
+
+const MAX_ENTRIES = parseInt(process.env.NETWORK_MAX_ENTRIES || '200');
+const MAX_BODY_BYTES = parseInt(process.env.NETWORK_MAX_BODY_BYTES || '100000');
+const MAX_TOTAL_BYTES = parseInt(process.env.NETWORK_MAX_TOTAL_BYTES || '2000000');
+
+// Longest networkFilter accepted
+const MAX_FILTER_LENGTH = 200;
+
+// Lichess socket keep-alive: the client sends "null", the server answers with a number
+const PING_FRAME = /^(null|\d+)$/;
+
+/**
+ * Keep a payload within the size limits, counted in UTF-8 bytes
+ * @returns {object} { size, data } or { size, truncated: true, data: <prefix> }
+ */
+function limitPayload(text, budget) {
+  const size = Buffer.byteLength(text);
+  const limit = Math.min(MAX_BODY_BYTES, budget);
+
+  if (size > limit) {
+    // In stream mode, a character cut in half at the end is left out
+    const data = new TextDecoder().decode(Buffer.from(text).subarray(0, limit), { stream: true });
+    return { size, truncated: true, data };
+  }
+
+  try {
+    return { size, data: JSON.parse(text) };
+  } catch (e) {
+    return { size, data: text };
+  }
+}
+
+/**
+ * Start capturing network traffic on a page
+ * @param {Page} page - Page that has not navigated yet
+ * @param {RegExp} filter - Only keep URLs matching this (optional)
+ * @returns {object} { stop() } which resolves to the `network` response section
+ */
+async function startNetworkCapture(page, filter = null) {
+  const network = {
+    filter: filter ? filter.source : null,
+    responses: [],
+    webSockets: [],
+    dropped: { responses: 0, frames: 0 }
+  };
+  let totalBytes = 0;
+  const pending = [];
+
+  const matches = url => !filter || filter.test(url);
+
+  // Limit a payload to what is left of MAX_TOTAL_BYTES, and count what is kept
+  function keep(text) {
+    const payload = limitPayload(text, MAX_TOTAL_BYTES - totalBytes);
+    totalBytes += payload.truncated ? Buffer.byteLength(payload.data) : payload.size;
+    return payload;
+  }
+
+  function hasRoom() {
+    return network.responses.length + network.webSockets.reduce((n, ws) => n + ws.frames.length, 0) < MAX_ENTRIES &&
+      totalBytes < MAX_TOTAL_BYTES;
+  }
+
+  page.on('response', response => {
+    const request = response.request();
+    const url = response.url();
+    const contentType = response.headers()['content-type'] || '';
+
+    if (!['xhr', 'fetch'].includes(request.resourceType())) return;
+    if (!contentType.includes('json') || !matches(url)) return;
+
+    pending.push(response.text().then(text => {
+      if (!hasRoom()) {
+        network.dropped.responses++;
+        return;
+      }
+
+      network.responses.push({
+        url,
+        method: request.method(),
+        status: response.status(),
+        ...keep(text)
+      });
+    }).catch(() => {
+      // Body no longer available (redirect or page closed)
+    }));
+  });
+
+  // WebSocket frames are only visible through the DevTools protocol
+  const client = await page.target().createCDPSession();
+  await client.send('Network.enable');
+
+  const sockets = new Map();
+
+  client.on('Network.webSocketCreated', ({ requestId, url }) => {
+    if (!matches(url)) return;
+    const socket = { url, frames: [] };
+    sockets.set(requestId, socket);
+    network.webSockets.push(socket);
+  });
+
+  const recordFrame = direction => ({ requestId, timestamp, response }) => {
+    const socket = sockets.get(requestId);
+    if (!socket || PING_FRAME.test(response.payloadData)) return;
+
+    if (!hasRoom()) {
+      network.dropped.frames++;
+      return;
+    }
+
+    socket.frames.push({ direction, timestamp, ...keep(response.payloadData) });
+  };
+
+  client.on('Network.webSocketFrameReceived', recordFrame('received'));
+  client.on('Network.webSocketFrameSent', recordFrame('sent'));
+
+  return {
+    async stop() {
+      await Promise.allSettled(pending);
+      await client.detach().catch(() => {
+        // Page already closed
+      });
+      network.truncated = network.dropped.responses > 0 || network.dropped.frames > 0 ||
+        network.responses.some(r => r.truncated) ||
+        network.webSockets.some(ws => ws.frames.some(f => f.truncated));
+      return network;
+    }
+  };
+}
+
+/**
+ * Why a pattern could make matching take exponential time, or null: it has
+ * a backreference, or repeats a group that itself repeats or has
+ * alternatives, as in (a+)+ or (a|aa)*
+ */
+function catastrophicBacktracking(pattern) {
+  const groups = [];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1] || '')) return 'backreferences are not allowed';
+      i++;
+    } else if (char === '[') {
+      // Skip the class; a ] right after [ or [^ is a literal
+      i += pattern[i + 1] === '^' ? 2 : 1;
+      if (pattern[i] === ']') i++;
+      while (i < pattern.length && pattern[i] !== ']') i += pattern[i] === '\\' ? 2 : 1;
+    } else if (char === '(') {
+      groups.push({ start: i, repeats: false });
+    } else if (char === '|') {
+      if (groups.length > 0) groups[groups.length - 1].repeats = true;
+    } else if (char === '*' || char === '+' || char === '{' || (char === '?' && pattern[i - 1] !== '(')) {
+      if (groups.length > 0) groups[groups.length - 1].repeats = true;
+    } else if (char === ')') {
+      const group = groups.pop();
+      const next = pattern[i + 1];
+      const repeated = next === '*' || next === '+' || next === '{';
+      if (group && group.repeats && repeated) {
+        return `${pattern.slice(group.start, i + 2)} repeats a group that repeats or has alternatives`;
+      }
+      // A group that repeats makes its enclosing group repeat too
+      if (group && (group.repeats || repeated) && groups.length > 0) groups[groups.length - 1].repeats = true;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse the `networkFilter` request parameter. It is matched against every
+ * URL the page loads, so it is kept short and free of constructs that can
+ * backtrack exponentially.
+ * @returns {RegExp|null}
+ * @throws {SyntaxError} If the pattern is too long, not a valid regular
+ *   expression, or could take exponential time (see catastrophicBacktracking)
+ */
+function parseNetworkFilter(pattern) {
+  if (!pattern) return null;
+
+  pattern = String(pattern);
+  if (pattern.length > MAX_FILTER_LENGTH) {
+    throw new SyntaxError(`longer than ${MAX_FILTER_LENGTH} characters`);
+  }
+
+  const regex = new RegExp(pattern);
+  const problem = catastrophicBacktracking(pattern);
+  if (problem) {
+    throw new SyntaxError(problem);
+  }
+
+  return regex;
+}
+
+module.exports = {
+  startNetworkCapture,
+  parseNetworkFilter
+};
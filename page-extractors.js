@@ -0,0 +1,280 @@
+/**
+ * Page extractors: one per type of Lichess page
+ *
+ * Each extractor says which URLs it handles (`match` turns an input into
+ * the target, or null), where the browser goes for a target (`url`), what
+ * to wait for before probing (`waitFor`, a selector), what to read from the
+ * page besides the common probe (`extract`), when the page has nothing
+ * usable (`check`) and the structured output (`normalize`, checked against
+ * definitions.<type>Page in response.schema.json). page-scraper.js does the
+ * rest, the same way for every type. Adding a page type means adding an
+ * entry here and its definition in the schema.
+ *
+ * `extract` is serialized into the page, so it must not use anything from
+ * this module's scope. Games keep their own document (schema.js). Studies
+ * are only matched here: both functions read them from their PGN export
+ * (study.js), which has the moves a study page only draws on a board.
+ */
+
+const { LICHESS_BASE_URL, gameUrl } = require('./lichess-api');
+const { ScraperError, checkPageInitData } = require('./errors');
+const { lichessPath, parseGameInput } = require('./game-input');
+const { parseStudyInput } = require('./study');
+const { toIso } = require('./schema');
+
+const PAGE_EXAMPLES = 'e.g. https://lichess.org/Bm5DQUPZ, https://lichess.org/training/K69di, ' +
+  'https://lichess.org/tournament/abcd1234, https://lichess.org/@/username or https://lichess.org/study/abcd1234';
+
+/**
+ * Inputs the parsers of game-input.js and study.js reject are simply not theirs
+ */
+function orNull(parse) {
+  return input => {
+    try {
+      return parse(input);
+    } catch (e) {
+      return null;
+    }
+  };
+}
+
+/**
+ * Page-init-data modules wrap their data as { data, i18n, ... }, or not
+ */
+function moduleData(pageInitData) {
+  return pageInitData?.data ?? pageInitData ?? {};
+}
+
+/**
+ * "1,234" -> 1234; null when there is no number
+ */
+function parseCount(text) {
+  const digits = (text || '').replace(/[^\d]/g, '');
+  return digits ? parseInt(digits, 10) : null;
+}
+
+function requirePageData(found, message) {
+  if (!found) throw new ScraperError('page_unavailable', message);
+}
+
+const EXTRACTORS = [
+  {
+    type: 'game',
+    label: 'Game',
+    description: 'A game, live or finished: the game document of schema.js',
+    match: orNull(parseGameInput),
+    url: target => gameUrl(target.gameId),
+    waitFor: null,
+    notFound: 'game_not_found',
+    extract: () => {
+      const dom = {};
+
+      const moves = document.querySelectorAll('.moves move, move');
+      if (moves.length > 0) dom.moves = Array.from(moves).map(m => m.textContent.trim());
+
+      const rmoves = document.querySelectorAll('.rmoves move');
+      if (rmoves.length > 0) dom.moveCount = rmoves.length;
+
+      const players = document.querySelectorAll('.ruser, .player');
+      if (players.length > 0) {
+        dom.players = Array.from(players).map(p => ({ text: p.textContent.trim(), classes: p.className }));
+      }
+
+      const evaluations = document.querySelectorAll('[data-eval], .eval, .evaluation');
+      if (evaluations.length > 0) {
+        dom.evaluations = Array.from(evaluations).map(e => ({ eval: e.getAttribute('data-eval'), text: e.textContent.trim() }));
+      }
+
+      const analysis = document.querySelectorAll('[data-analysis]');
+      if (analysis.length > 0) {
+        dom.analysis = Array.from(analysis).map(el => ({ analysis: el.getAttribute('data-analysis'), text: el.textContent }));
+      }
+
+      return dom;
+    },
+    check: (page, target, data) => checkPageInitData(page, target.gameId, data.pageInitData),
+    normalize: null
+  },
+  {
+    type: 'study',
+    label: 'Study',
+    description: 'A study, chapter or broadcast round: the study document of schema.js, from its PGN export',
+    match: orNull(parseStudyInput),
+    url: target => `${LICHESS_BASE_URL}/study/${target.studyId}${target.chapterId ? `/${target.chapterId}` : ''}`,
+    waitFor: null,
+    notFound: 'study_not_found',
+    extract: null,
+    check: null,
+    normalize: null
+  },
+  {
+    type: 'puzzle',
+    label: 'Puzzle',
+    description: 'A training puzzle: rating, themes, solution and the game it comes from',
+    match: input => {
+      const path = lichessPath(input);
+      return path?.length === 2 && path[0] === 'training' && /^[a-zA-Z0-9]{5}$/.test(path[1])
+        ? { puzzleId: path[1] }
+        : null;
+    },
+    url: target => `${LICHESS_BASE_URL}/training/${target.puzzleId}`,
+    waitFor: '.puzzle__board',
+    notFound: 'page_not_found',
+    extract: null,
+    check: (page, target, data) => requirePageData(moduleData(data.pageInitData).puzzle, `No puzzle data on the page of ${target.puzzleId}`),
+    normalize: (data, target) => {
+      const { puzzle, game } = moduleData(data.pageInitData);
+      return {
+        id: puzzle.id || target.puzzleId,
+        rating: puzzle.rating ?? null,
+        plays: puzzle.plays ?? null,
+        themes: puzzle.themes || [],
+        initialPly: puzzle.initialPly ?? null,
+        solution: puzzle.solution || [],
+        game: game?.id
+          ? {
+              id: game.id,
+              url: gameUrl(game.id),
+              perf: game.perf?.key ?? null,
+              rated: Boolean(game.rated),
+              players: (game.players || []).map(p => ({ color: p.color ?? null, name: p.name ?? null, rating: p.rating ?? null })),
+              pgn: game.pgn ?? null
+            }
+          : null
+      };
+    }
+  },
+  {
+    type: 'tournament',
+    label: 'Tournament',
+    description: 'An arena tournament: settings, status and the first page of the standings',
+    match: input => {
+      const path = lichessPath(input);
+      return path?.length === 2 && path[0] === 'tournament' && /^[a-zA-Z0-9]{8}$/.test(path[1])
+        ? { tournamentId: path[1] }
+        : null;
+    },
+    url: target => `${LICHESS_BASE_URL}/tournament/${target.tournamentId}`,
+    waitFor: '.tour__standing',
+    notFound: 'page_not_found',
+    extract: null,
+    check: (page, target, data) => requirePageData(moduleData(data.pageInitData).id, `No tournament data on the page of ${target.tournamentId}`),
+    normalize: (data, target) => {
+      const tournament = moduleData(data.pageInitData);
+      const status = tournament.isFinished ? 'finished' : tournament.isStarted ? 'started' : 'created';
+      return {
+        id: tournament.id || target.tournamentId,
+        name: tournament.fullName ?? null,
+        variant: (typeof tournament.variant === 'string' ? tournament.variant : tournament.variant?.key) ?? null,
+        clock: tournament.clock ? { limit: tournament.clock.limit, increment: tournament.clock.increment } : null,
+        minutes: tournament.minutes ?? null,
+        rated: tournament.rated ?? null,
+        status,
+        startsAt: toIso(tournament.startsAt),
+        nbPlayers: tournament.nbPlayers ?? null,
+        standing: (tournament.standing?.players || []).map(p => ({
+          rank: p.rank ?? null,
+          name: p.name ?? null,
+          rating: p.rating ?? null,
+          score: p.score ?? null
+        }))
+      };
+    }
+  },
+  {
+    type: 'user',
+    label: 'User',
+    description: 'A user profile: title, ratings per perf and bio, as shown on the page',
+    match: input => {
+      const path = lichessPath(input);
+      return path?.length === 2 && path[0] === '@' && /^[\w-]{2,30}$/.test(path[1])
+        ? { username: path[1] }
+        : null;
+    },
+    url: target => `${LICHESS_BASE_URL}/@/${target.username}`,
+    waitFor: '.user-show',
+    notFound: 'user_not_found',
+    extract: () => {
+      const text = selector => document.querySelector(selector)?.textContent.trim() || null;
+      return {
+        username: text('.user-show__header h1 .user-link, .user-show__header h1'),
+        title: text('.user-show__header .utitle'),
+        bio: text('.user-infos .bio'),
+        ratings: Array.from(document.querySelectorAll('.sub-ratings a')).map(a => ({
+          href: a.getAttribute('href'),
+          name: a.querySelector('h3')?.textContent.trim() || null,
+          rating: a.querySelector('rating strong')?.textContent.trim() || null,
+          games: a.querySelector('rating span')?.textContent.trim() || null
+        }))
+      };
+    },
+    check: (page, target, data) => requirePageData(data.dom.username, `No profile on the page of ${target.username} (closed account?)`),
+    normalize: (data, target) => {
+      const { dom } = data;
+
+      // The heading reads "GM name" for titled players
+      const username = dom.title && dom.username.startsWith(`${dom.title} `)
+        ? dom.username.slice(dom.title.length).trim()
+        : dom.username;
+
+      return {
+        username: username || target.username,
+        title: dom.title,
+        bio: dom.bio,
+        ratings: dom.ratings.map(entry => ({
+          perf: entry.href ? entry.href.split('/').pop() : null,
+          name: entry.name,
+          rating: parseCount(entry.rating),
+          provisional: /\?/.test(entry.rating || ''),
+          games: parseCount(entry.games)
+        }))
+      };
+    }
+  }
+];
+
+/**
+ * The page types and what they return: [{ type, description }]
+ */
+function listExtractors() {
+  return EXTRACTORS.map(({ type, description }) => ({ type, description }));
+}
+
+function getExtractor(type) {
+  return EXTRACTORS.find(extractor => extractor.type === type);
+}
+
+/**
+ * Find the extractor for a Lichess page URL (or game ID or study ID)
+ * @returns {object} { extractor, target }
+ * @throws {ScraperError} invalid_request when no extractor handles it
+ */
+function matchPage(input) {
+  if (typeof input === 'string' && input.trim()) {
+    for (const extractor of EXTRACTORS) {
+      const target = extractor.match(input);
+      if (target) return { extractor, target };
+    }
+  }
+
+  const shown = String(input).slice(0, 100);
+  throw new ScraperError('invalid_request', `Not a Lichess page this function reads: ${shown} (${PAGE_EXAMPLES})`);
+}
+
+/**
+ * Read the `url` parameter. Returns null when the request has none.
+ * @returns {object} { extractor, target }
+ * @throws {ScraperError} invalid_request for URLs no extractor handles
+ */
+function getPageTarget(req) {
+  const value = req.body?.url ?? req.query.url;
+  if (value === undefined || value === null || value === '') return null;
+  return matchPage(value);
+}
+
+module.exports = {
+  listExtractors,
+  getExtractor,
+  matchPage,
+  getPageTarget
+};
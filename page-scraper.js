@@ -0,0 +1,290 @@
+/**
+ * Shared core of the browser handlers
+ *
+ * Every Lichess page is scraped the same way, whatever its type: open a page
+ * in the request's session, navigate (throttled and retried), wait for what
+ * the page's extractor needs, then probe it. The probe reads page-init-data,
+ * window properties and, for deep scrapes, localStorage and extension
+ * elements; the extractor's own `extract` adds what is specific to its page
+ * type (see page-extractors.js). Extension data, network capture and named
+ * scripts work on every page type.
+ */
+
+const { acquireSession } = require('./browser');
+const { collectExtensionData } = require('./extensions');
+const { startNetworkCapture } = require('./network-capture');
+const { runScripts } = require('./script-registry');
+const { navigate } = require('./upstream');
+const { buildPageDocument } = require('./schema');
+const { etagFor, isNotModified } = require('./cache');
+const { ScraperError, classifyError, sendError, invalidRequest } = require('./errors');
+
+// How long to wait for an extractor's `waitFor` selector; the page is probed either way
+const WAIT_FOR_TIMEOUT_MS = parseInt(process.env.WAIT_FOR_TIMEOUT_MS || '5000');
+
+/**
+ * Runs in the page: what every page type has. Deep probes look at more
+ * window properties (functions as source), localStorage and elements that
+ * extensions commonly add.
+ */
+function probePage({ deep }) {
+  const data = {
+    pageInitData: null,
+    window: {},
+    dom: {
+      title: document.title,
+      url: window.location.href
+    }
+  };
+
+  // Standard page init data
+  const pageInitScript = document.getElementById('page-init-data');
+  if (pageInitScript) {
+    try {
+      data.pageInitData = JSON.parse(pageInitScript.textContent.trim());
+    } catch (e) {
+      console.error('Error parsing page-init-data:', e);
+    }
+  }
+
+  // Extensions often add data to the window object
+  const terms = deep ? ['lichess', 'extension', 'chess', 'tool', 'plugin'] : ['lichess', 'extension', 'chess'];
+  Object.keys(window)
+    .filter(key => terms.some(term => key.toLowerCase().includes(term)) || key.startsWith(deep ? '_' : '__'))
+    .forEach(key => {
+      try {
+        const value = window[key];
+        if (value === null || value === undefined) return;
+
+        if (typeof value === 'object') {
+          data.window[key] = JSON.parse(JSON.stringify(value));
+        } else if (typeof value === 'function') {
+          if (deep) data.window[key] = value.toString().substring(0, 200);
+        } else {
+          data.window[key] = value;
+        }
+      } catch (e) {
+        data.window[key] = '[Error accessing property]';
+      }
+    });
+
+  if (!deep) return data;
+
+  // Extension data is often stored here
+  data.localStorage = {};
+  try {
+    Object.keys(localStorage).forEach(key => {
+      const keyLower = key.toLowerCase();
+      if (keyLower.includes('lichess') || keyLower.includes('chess') || keyLower.includes('extension')) {
+        data.localStorage[key] = localStorage.getItem(key);
+      }
+    });
+  } catch (e) {
+    console.error('Cannot access localStorage');
+  }
+
+  // Extension-specific selectors (common patterns)
+  const extensionSelectors = [
+    '[data-lichess-tools]',
+    '[data-extension]',
+    '[class*="extension"]',
+    '[class*="tool"]',
+    '[class*="enhanced"]',
+    '[id*="extension"]',
+    '[id*="tool"]'
+  ];
+  extensionSelectors.forEach(selector => {
+    const elements = document.querySelectorAll(selector);
+    if (elements.length === 0) return;
+
+    data.dom[selector.replace(/[\[\]"'*]/g, '')] = Array.from(elements).map(el => ({
+      tag: el.tagName,
+      id: el.id,
+      classes: typeof el.className === 'string' ? el.className : '',
+      attributes: Array.from(el.attributes).map(attr => ({
+        name: attr.name,
+        value: attr.value
+      })),
+      text: el.textContent.substring(0, 300)
+    }));
+  });
+
+  // Any JSON in inline script tags
+  const jsonScripts = [];
+  document.querySelectorAll('script:not([src])').forEach(script => {
+    const content = script.textContent.trim();
+    if (!content.startsWith('{') && !content.startsWith('[')) return;
+    try {
+      jsonScripts.push(JSON.parse(content));
+    } catch (e) {
+      // Not valid JSON
+    }
+  });
+  if (jsonScripts.length > 0) data.jsonScripts = jsonScripts;
+
+  return data;
+}
+
+/**
+ * Run code the caller sent or picked. What it throws is the caller's
+ * problem (invalid_request), not Lichess's: a SyntaxError in a customScript
+ * would otherwise be reported as parse_error. Crashes and timeouts of the
+ * browser itself keep their own codes.
+ */
+async function runCallerCode(what, run) {
+  try {
+    return await run();
+  } catch (e) {
+    if (['browser_crash', 'timeout'].includes(classifyError(e).code)) throw e;
+    throw new ScraperError('invalid_request', `${what} failed: ${e.message}`);
+  }
+}
+
+/**
+ * Scrape one page with its extractor
+ * @param {object} session - From acquireSession()
+ * @param {object} extractor - From page-extractors.js
+ * @param {object} target - What the extractor's `match` returned
+ * @param {object} options - { deep, waitTime, customScript, scripts, captureNetwork, networkFilter }:
+ *   deep probes more of the page (advanced function); customScript is
+ *   injected before waiting, the resolved registry `scripts` run after it
+ * @returns {object} { source, pageInitData, dom, extensionData, htmlLength,
+ *   localStorage?, jsonScripts?, network?, scripts? }
+ * @throws {ScraperError} From navigation, or the extractor's check;
+ *   invalid_request when customScript throws
+ */
+async function scrapePage(session, extractor, target, {
+  deep = false,
+  waitTime = 3000,
+  customScript = null,
+  scripts = [],
+  captureNetwork = false,
+  networkFilter = null
+} = {}) {
+  const page = await session.newPage();
+
+  try {
+    // Intercept and modify requests if needed
+    if (deep) {
+      await page.setRequestInterception(true);
+      page.on('request', request => {
+        request.continue();
+      });
+    }
+
+    // Capture XHR/fetch and WebSocket traffic from the very first request
+    const capture = captureNetwork ? await startNetworkCapture(page, networkFilter) : null;
+
+    const url = extractor.url(target);
+    console.log(`Fetching ${extractor.type}: ${url}`);
+
+    // Throttled, and retried if Lichess answers 429 or 5xx
+    await navigate(page, url, {
+      waitUntil: 'networkidle2',
+      timeout: 30000
+    }, { notFound: extractor.notFound, what: extractor.label });
+
+    if (customScript) {
+      console.log('Injecting custom script...');
+      await runCallerCode('customScript', () => page.evaluate(customScript));
+    }
+
+    if (extractor.waitFor) {
+      await page.waitForSelector(extractor.waitFor, { timeout: WAIT_FOR_TIMEOUT_MS })
+        .catch(() => console.warn(`${extractor.waitFor} did not appear on ${url}`));
+    }
+
+    // Wait for dynamic content and potential extension modifications
+    await page.waitForTimeout(waitTime);
+
+    const scriptResults = scripts.length > 0 ? await runCallerCode('scripts', () => runScripts(page, scripts)) : null;
+
+    const { window: windowData, ...data } = await page.evaluate(probePage, { deep });
+    if (extractor.extract) {
+      Object.assign(data.dom, await page.evaluate(extractor.extract));
+    }
+
+    await extractor.check(page, target, data);
+
+    // Real extensions (if loaded), next to what the window probe found
+    data.extensionData = await collectExtensionData(page, windowData);
+
+    data.htmlLength = (await page.content()).length;
+    if (capture) data.network = await capture.stop();
+    data.source = 'browser';
+    if (scriptResults) data.scripts = scriptResults;
+
+    return data;
+  } finally {
+    await page.close();
+  }
+}
+
+/**
+ * Answer a request with one document: run `produce` in a browser session
+ * (only started if it opens a page), then send the body with its ETag, or
+ * 304 when the caller already has it. Errors go out through sendError.
+ * @param {Function} produce - async session => { body, cacheStatus? }
+ * @param {object} options - { format: "json" or "pgn", what: for the log, context: extra error fields }
+ */
+async function serveDocument(req, res, produce, { format = 'json', what = 'page', context = {} } = {}) {
+  // Reuse the warm browser, in a fresh incognito context
+  let session = acquireSession();
+
+  try {
+    const { body, cacheStatus } = await produce(session);
+
+    await session.release();
+    session = null;
+
+    // The ETag covers the content only, not the timestamp
+    const etag = etagFor(body);
+    res.set('ETag', etag);
+    if (cacheStatus) res.set('X-Cache', cacheStatus);
+    if (isNotModified(req, etag)) {
+      return res.status(304).send('');
+    }
+
+    if (format === 'pgn') {
+      res.set('Content-Type', 'application/x-chess-pgn');
+      return res.status(200).send(body);
+    }
+
+    return res.status(200).json({
+      ...body,
+      success: true,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error fetching ${what}:`, error);
+
+    if (session) {
+      await session.release();
+    }
+
+    // Status, code and retryable flag from errors.js
+    return sendError(res, error, context);
+  }
+}
+
+/**
+ * Respond to a request for a page that is not a game (see page-extractors.js)
+ * @param {object} match - { extractor, target } from matchPage()
+ * @param {object} options - { format, raw, ...scrapePage options }
+ */
+async function handlePage({ extractor, target }, req, res, { format, raw = false, ...scrapeOptions }) {
+  if (format === 'pgn') {
+    return invalidRequest(res, `${extractor.label} pages only return JSON`);
+  }
+
+  return serveDocument(req, res, async session => {
+    const data = await scrapePage(session, extractor, target, scrapeOptions);
+    return { body: buildPageDocument(extractor, target, data, { raw }), cacheStatus: 'BYPASS' };
+  }, { what: extractor.type, context: { url: extractor.url(target) } });
+}
+
+module.exports = {
+  scrapePage,
+  serveDocument,
+  handlePage
+};
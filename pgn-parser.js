@@ -0,0 +1,280 @@
+/**
+ * Parse PGN with variations, comments and annotations
+ *
+ * pgn.js writes PGN; this reads it back in the form Lichess exports studies
+ * and broadcasts: several games in one text, each with a tag section and a
+ * move tree. Comments carry Lichess's commands: [%cal]/[%csl] for the arrows
+ * and circles drawn on the board, [%clk] and [%eval]. Moves are taken as
+ * written; moves.js replays them to check legality and add FEN and UCI.
+ */
+
+const RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+// Move suffixes and the NAGs they stand for
+const SUFFIX_NAGS = { '!': 1, '?': 2, '!!': 3, '??': 4, '!?': 5, '?!': 6 };
+
+const SHAPE_COLORS = { G: 'green', R: 'red', Y: 'yellow', B: 'blue' };
+
+/**
+ * Thrown when PGN text cannot be parsed
+ */
+class PgnParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PgnParseError';
+  }
+}
+
+/**
+ * Split a PGN file into the text of each game. A tag line after movetext
+ * starts the next game (tag-like lines inside comments do not).
+ * @returns {string[]} Each game's PGN, trimmed
+ */
+function splitPgnGames(text) {
+  const games = [];
+  let lines = [];
+  let inMovetext = false;
+  let braces = 0;
+
+  text.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+    if (braces === 0 && inMovetext && line.startsWith('[')) {
+      games.push(lines.join('\n').trim());
+      lines = [];
+      inMovetext = false;
+    }
+
+    lines.push(line);
+    if (!line.startsWith('[') && line.trim() !== '') inMovetext = true;
+    if (inMovetext) {
+      for (const char of line) {
+        if (char === '{') braces++;
+        if (char === '}') braces = Math.max(0, braces - 1);
+      }
+    }
+  });
+
+  const last = lines.join('\n').trim();
+  if (last) games.push(last);
+  return games.filter(game => game !== '');
+}
+
+/**
+ * Tags and movetext of one game
+ */
+function splitTags(gameText) {
+  const tags = {};
+  const lines = gameText.split('\n');
+  let index = 0;
+
+  for (; index < lines.length; index++) {
+    const line = lines[index].trim();
+    if (line === '') continue;
+    const tag = line.match(/^\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]$/);
+    if (!tag) break;
+    tags[tag[1]] = tag[2].replace(/\\(["\\])/g, '$1');
+  }
+
+  return { tags, movetext: lines.slice(index).join('\n') };
+}
+
+/**
+ * Movetext tokens: { type: 'comment' | 'open' | 'close' | 'nag' | 'result' | 'move', value }
+ */
+function tokenize(movetext) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < movetext.length) {
+    const char = movetext[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '{') {
+      const end = movetext.indexOf('}', i);
+      if (end === -1) throw new PgnParseError('Unterminated comment');
+      tokens.push({ type: 'comment', value: movetext.slice(i + 1, end) });
+      i = end + 1;
+    } else if (char === ';') {
+      const end = movetext.indexOf('\n', i);
+      tokens.push({ type: 'comment', value: movetext.slice(i + 1, end === -1 ? movetext.length : end) });
+      i = end === -1 ? movetext.length : end + 1;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char === '(' ? 'open' : 'close' });
+      i++;
+    } else {
+      const word = movetext.slice(i).match(/^[^\s{}();]+/)[0];
+      i += word.length;
+
+      if (/^\$\d+$/.test(word)) {
+        tokens.push({ type: 'nag', value: parseInt(word.slice(1), 10) });
+      } else if (RESULTS.includes(word)) {
+        tokens.push({ type: 'result', value: word });
+      } else {
+        // "12." or "12..." may be glued to the move: "12.Nf3"
+        const move = word.replace(/^\d+\.*/, '');
+        if (!move) continue;
+
+        const suffix = move.match(/[!?]+$/);
+        const san = suffix ? move.slice(0, -suffix[0].length) : move;
+        tokens.push({ type: 'move', value: san });
+        if (suffix && SUFFIX_NAGS[suffix[0]]) tokens.push({ type: 'nag', value: SUFFIX_NAGS[suffix[0]] });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * "Gd4" (circle) or "Ge2e4" (arrow)
+ */
+function parseShape(spec) {
+  const shape = spec.trim().match(/^([GRYB])([a-h][1-8])([a-h][1-8])?$/);
+  if (!shape) return null;
+
+  const color = SHAPE_COLORS[shape[1]];
+  return shape[3]
+    ? { type: 'arrow', color, from: shape[2], to: shape[3] }
+    : { type: 'circle', color, square: shape[2] };
+}
+
+/**
+ * "0:01:05" or "1:05.3" as seconds
+ */
+function parseClock(value) {
+  const parts = value.trim().split(':').map(Number);
+  if (parts.some(isNaN)) return null;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * "0.23", "-1.5" or "#-3" (optionally followed by ",depth") as { cp, mate }
+ */
+function parseEval(value) {
+  const score = value.split(',')[0].trim();
+  if (score.startsWith('#')) {
+    const mate = parseInt(score.slice(1), 10);
+    return isNaN(mate) ? null : { cp: null, mate };
+  }
+  const pawns = parseFloat(score);
+  return isNaN(pawns) ? null : { cp: Math.round(pawns * 100), mate: null };
+}
+
+/**
+ * Split a comment into its text and the commands Lichess embeds in it
+ * @returns {object} { text, shapes, clockSeconds, eval }
+ */
+function parseComment(raw) {
+  const parsed = { text: null, shapes: [], clockSeconds: null, eval: null };
+
+  const text = raw.replace(/\[%(\w+)\s+([^\]]*)\]/g, (match, command, value) => {
+    if (command === 'cal' || command === 'csl') {
+      value.split(',').map(parseShape).filter(Boolean).forEach(shape => parsed.shapes.push(shape));
+    } else if (command === 'clk') {
+      parsed.clockSeconds = parseClock(value);
+    } else if (command === 'eval') {
+      parsed.eval = parseEval(value);
+    }
+    return ' ';
+  }).replace(/\s+/g, ' ').trim();
+
+  parsed.text = text || null;
+  return parsed;
+}
+
+function newNode(san) {
+  return {
+    ply: null,
+    moveNumber: null,
+    color: null,
+    san,
+    uci: null,
+    fen: null,
+    nags: [],
+    comment: null,
+    shapes: [],
+    clockSeconds: null,
+    eval: null,
+    variations: []
+  };
+}
+
+function addComment(target, parsed) {
+  if (parsed.text) target.comment = target.comment ? `${target.comment} ${parsed.text}` : parsed.text;
+  parsed.shapes.forEach(shape => target.shapes.push(shape));
+  if (parsed.clockSeconds !== null) target.clockSeconds = parsed.clockSeconds;
+  if (parsed.eval) target.eval = parsed.eval;
+}
+
+/**
+ * Parse one game's PGN
+ * @returns {object} { tags, comment, shapes, moves, result } where moves is
+ *   the mainline: nodes of { san, nags, comment, shapes, clockSeconds, eval,
+ *   variations: [lines replacing this move] } (ply, moveNumber, color, uci and
+ *   fen are left null for moves.js). `comment` and `shapes` belong to the
+ *   start position; a comment before the first move of a variation is kept
+ *   with that move.
+ * @throws {PgnParseError} On unbalanced variations or a variation with no move to replace
+ */
+function parsePgn(gameText) {
+  const { tags, movetext } = splitTags(gameText);
+  const root = { comment: null, shapes: [], clockSeconds: null, eval: null };
+  const mainline = [];
+
+  const stack = [];
+  let line = mainline;
+  let pending = null;
+  let result = tags.Result || '*';
+
+  tokenize(movetext).forEach(token => {
+    const last = line[line.length - 1];
+
+    switch (token.type) {
+      case 'move': {
+        const node = newNode(token.value);
+        if (pending) {
+          addComment(node, pending);
+          pending = null;
+        }
+        line.push(node);
+        break;
+      }
+      case 'comment': {
+        const parsed = parseComment(token.value);
+        if (last) addComment(last, parsed);
+        else if (stack.length === 0) addComment(root, parsed);
+        else pending = parsed;
+        break;
+      }
+      case 'nag':
+        if (last) last.nags.push(token.value);
+        break;
+      case 'open': {
+        if (!last) throw new PgnParseError('Variation with no move to replace');
+        const variation = [];
+        last.variations.push(variation);
+        stack.push(line);
+        line = variation;
+        break;
+      }
+      case 'close':
+        if (stack.length === 0) throw new PgnParseError('Unbalanced ")" in movetext');
+        line = stack.pop();
+        pending = null;
+        break;
+      case 'result':
+        if (stack.length === 0) result = token.value;
+        break;
+    }
+  });
+
+  if (stack.length > 0) throw new PgnParseError('Unclosed variation in movetext');
+
+  return { tags, comment: root.comment, shapes: root.shapes, moves: mainline, result };
+}
+
+module.exports = {
+  PgnParseError,
+  splitPgnGames,
+  parsePgn
+};
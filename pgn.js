@@ -0,0 +1,225 @@
+/**
+ * Build PGN from scraped Lichess page data
+ *
+ * Works with the `game` object Lichess puts in page-init-data (and returns
+ * from its export API): SAN moves in `game.moves`, clock times in
+ * centiseconds in `game.clocks`, and per-ply evaluations in `analysis`.
+ * When those are missing, the analysis tree in `treeParts` is used instead.
+ */
+
+const STANDARD_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+const UNFINISHED_STATUSES = ['created', 'started', 'aborted'];
+
+const TERMINATIONS = {
+  created: 'Unterminated',
+  started: 'Unterminated',
+  aborted: 'Unterminated',
+  outoftime: 'Time forfeit',
+  timeout: 'Abandoned',
+  cheat: 'Rules infraction'
+};
+
+/**
+ * Build a PGN string for one game
+ * @param {object} pageInitData - Parsed page-init-data
+ * @returns {string} PGN with tags, movetext and [%clk]/[%eval] comments
+ */
+function buildPgn(pageInitData) {
+  const game = pageInitData?.game;
+  if (!game) {
+    throw new Error('Cannot build PGN: page-init-data has no game');
+  }
+
+  const plies = getPlies(pageInitData);
+  const result = getResult(game);
+  const tags = buildTags(game, result);
+
+  const header = tags.map(([name, value]) => `[${name} "${escapeTag(value)}"]`).join('\n');
+  const movetext = buildMovetext(plies, game.initialFen);
+
+  return `${header}\n\n${movetext ? movetext + ' ' : ''}${result}\n`;
+}
+
+/**
+ * Wrap a scraper so it resolves to { pgn } instead of the raw page data
+ * (used for batches, where PGN travels inside the JSON response)
+ */
+function toPgnScraper(scrapeGame) {
+  return async (...args) => {
+    const gameData = await scrapeGame(...args);
+    return { pgn: buildPgn(gameData.pageInitData) };
+  };
+}
+
+/**
+ * Seven Tag Roster followed by the tags Lichess adds to its own exports
+ */
+function buildTags(game, result) {
+  const white = game.players?.white || {};
+  const black = game.players?.black || {};
+  const created = game.createdAt ? new Date(game.createdAt) : null;
+  const variant = game.variant?.key || 'standard';
+
+  const tags = [
+    ['Event', `${game.rated ? 'Rated' : 'Casual'} ${capitalize(game.speed || 'unknown')} game`],
+    ['Site', `https://lichess.org/${game.id}`],
+    ['Date', created ? formatDate(created) : '????.??.??'],
+    ['Round', '-'],
+    ['White', playerName(white)],
+    ['Black', playerName(black)],
+    ['Result', result]
+  ];
+
+  if (created) {
+    tags.push(['UTCDate', formatDate(created)]);
+    tags.push(['UTCTime', created.toISOString().substring(11, 19)]);
+  }
+
+  if (white.rating) tags.push(['WhiteElo', String(white.rating)]);
+  if (black.rating) tags.push(['BlackElo', String(black.rating)]);
+  if (white.ratingDiff !== undefined) tags.push(['WhiteRatingDiff', signed(white.ratingDiff)]);
+  if (black.ratingDiff !== undefined) tags.push(['BlackRatingDiff', signed(black.ratingDiff)]);
+  if (white.user?.title) tags.push(['WhiteTitle', white.user.title]);
+  if (black.user?.title) tags.push(['BlackTitle', black.user.title]);
+
+  tags.push(['Variant', game.variant?.name || capitalize(variant)]);
+  tags.push(['TimeControl', game.clock ? `${game.clock.initial}+${game.clock.increment}` : '-']);
+
+  if (game.opening) {
+    tags.push(['ECO', game.opening.eco || '?']);
+    tags.push(['Opening', game.opening.name || '?']);
+  }
+
+  tags.push(['Termination', TERMINATIONS[game.status?.name] || 'Normal']);
+
+  if (game.initialFen && game.initialFen !== STANDARD_FEN) {
+    tags.push(['FEN', game.initialFen]);
+    tags.push(['SetUp', '1']);
+  }
+
+  return tags;
+}
+
+/**
+ * Collect { san, clock, eval } for every ply played
+ */
+function getPlies(pageInitData) {
+  const game = pageInitData.game;
+
+  if (game.moves) {
+    const analysis = Array.isArray(pageInitData.analysis) ? pageInitData.analysis : [];
+    return game.moves.split(' ').filter(Boolean).map((san, index) => ({
+      san,
+      clock: game.clocks?.[index],
+      eval: analysis[index]
+    }));
+  }
+
+  // Analysis pages carry the mainline as a tree, with the start position first
+  if (Array.isArray(pageInitData.treeParts)) {
+    return pageInitData.treeParts.slice(1).map(node => ({
+      san: node.san,
+      clock: node.clock,
+      eval: node.eval
+    }));
+  }
+
+  return [];
+}
+
+function buildMovetext(plies, initialFen) {
+  const fenParts = (initialFen || STANDARD_FEN).split(' ');
+  let whiteToMove = fenParts[1] !== 'b';
+  let moveNumber = parseInt(fenParts[5]) || 1;
+
+  return plies.map((ply, index) => {
+    let token = '';
+    if (whiteToMove) {
+      token = `${moveNumber}. `;
+    } else if (index === 0) {
+      token = `${moveNumber}... `;
+    }
+    token += ply.san;
+
+    const comment = buildComment(ply);
+    if (comment) {
+      token += ` { ${comment} }`;
+      // Black's move after a comment needs its number repeated
+      if (whiteToMove && index < plies.length - 1) token += ` ${moveNumber}...`;
+    }
+
+    if (!whiteToMove) moveNumber++;
+    whiteToMove = !whiteToMove;
+    return token;
+  }).join(' ');
+}
+
+function buildComment(ply) {
+  const parts = [];
+
+  if (ply.eval) {
+    if (ply.eval.mate !== undefined) {
+      parts.push(`[%eval #${ply.eval.mate}]`);
+    } else if (ply.eval.eval !== undefined || ply.eval.cp !== undefined) {
+      const cp = ply.eval.eval !== undefined ? ply.eval.eval : ply.eval.cp;
+      parts.push(`[%eval ${(cp / 100).toFixed(2)}]`);
+    }
+  }
+
+  if (typeof ply.clock === 'number') {
+    parts.push(`[%clk ${formatClock(ply.clock)}]`);
+  }
+
+  return parts.join(' ');
+}
+
+function getResult(game) {
+  if (game.winner === 'white') return '1-0';
+  if (game.winner === 'black') return '0-1';
+  if (!game.status?.name || UNFINISHED_STATUSES.includes(game.status.name)) return '*';
+  return '1/2-1/2';
+}
+
+function playerName(player) {
+  if (player.user?.name) return player.user.name;
+  if (player.name) return player.name;
+  if (player.aiLevel) return `lichess AI level ${player.aiLevel}`;
+  return 'Anonymous';
+}
+
+/**
+ * Helper: Format centiseconds as H:MM:SS
+ */
+function formatClock(centis) {
+  const total = Math.floor(centis / 100);
+  const hours = Math.floor(total / 3600);
+  const mins = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  return `${hours}:${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+}
+
+function formatDate(date) {
+  return date.toISOString().substring(0, 10).replace(/-/g, '.');
+}
+
+function signed(value) {
+  return value > 0 ? `+${value}` : String(value);
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function escapeTag(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+module.exports = {
+  STANDARD_FEN,
+  buildPgn,
+  getPlies,
+  getResult,
+  toPgnScraper,
+  formatClock
+};
@@ -0,0 +1,152 @@
+/**
+ * Opening repertoire of one player, aggregated over many games
+ *
+ * Games are merged into a move tree per color the player had. Every node
+ * (a line from the start position) counts the games that reached it, the
+ * player's score, the average opponent rating and the most recent game, so
+ * a coach can walk down the tree to where the points are lost.
+ */
+
+const { ScraperError } = require('./errors');
+
+const DEFAULT_DEPTH = 12;
+const MAX_DEPTH = 40;
+
+/**
+ * Read the repertoire parameters from a request.
+ * Returns null when the request does not ask for a repertoire.
+ * @throws {ScraperError} invalid_request on a bad depth
+ */
+function getRepertoireOptions(req) {
+  const player = req.body?.repertoire || req.query.repertoire;
+  if (!player) return null;
+
+  const depth = parseInt(req.body?.depth || req.query.depth || DEFAULT_DEPTH);
+  if (!(depth >= 1 && depth <= MAX_DEPTH)) {
+    throw new ScraperError('invalid_request', `depth must be between 1 and ${MAX_DEPTH} plies`);
+  }
+
+  return { player: String(player).trim(), depth };
+}
+
+/**
+ * The color `player` had in a game, or null if they did not play in it
+ */
+function playerColor(game, player) {
+  const wanted = player.toLowerCase();
+  return ['white', 'black'].find(color => {
+    const { userId, name } = game.players[color];
+    return (userId || name || '').toLowerCase() === wanted;
+  }) || null;
+}
+
+function newNode(san, ply) {
+  return {
+    san,
+    ply,
+    games: 0,
+    wins: 0,
+    draws: 0,
+    losses: 0,
+    opponentRatingTotal: 0,
+    opponentRatings: 0,
+    lastGame: null,
+    children: new Map()
+  };
+}
+
+function addGame(node, outcome, opponentRating, lastGame) {
+  node.games += 1;
+  node[outcome] += 1;
+
+  if (typeof opponentRating === 'number') {
+    node.opponentRatingTotal += opponentRating;
+    node.opponentRatings += 1;
+  }
+
+  if (!node.lastGame || (lastGame.playedAt || '') > (node.lastGame.playedAt || '')) {
+    node.lastGame = lastGame;
+  }
+}
+
+/**
+ * The JSON form of a node: children as an array, most played first
+ */
+function toJson(node) {
+  return {
+    san: node.san,
+    ply: node.ply,
+    games: node.games,
+    wins: node.wins,
+    draws: node.draws,
+    losses: node.losses,
+    score: Math.round((node.wins + node.draws / 2) / node.games * 1000) / 10,
+    averageOpponentRating: node.opponentRatings > 0 ? Math.round(node.opponentRatingTotal / node.opponentRatings) : null,
+    lastGame: node.lastGame,
+    children: [...node.children.values()]
+      .sort((a, b) => b.games - a.games)
+      .map(toJson)
+  };
+}
+
+/**
+ * Build a player's repertoire from game documents (see schema.js)
+ * @param {object[]} documents - Game documents
+ * @param {string} player - Lichess username (case-insensitive)
+ * @param {number} depth - Plies to keep in the tree
+ * @returns {object} { player, depth, games, white, black, skipped: [{gameId, reason}] }.
+ *   white and black are root nodes ({ san: null, ply: 0, games, wins, draws,
+ *   losses, score, averageOpponentRating, lastGame, children }), or null when
+ *   the player had no games with that color.
+ */
+function buildRepertoire(documents, player, { depth = DEFAULT_DEPTH } = {}) {
+  const roots = { white: newNode(null, 0), black: newNode(null, 0) };
+  const skipped = [];
+
+  documents.forEach(({ gameId, game }) => {
+    if (!game) return skipped.push({ gameId, reason: 'No game data' });
+
+    // Other variants and set-up positions do not share the standard tree
+    if (game.variant !== 'standard') return skipped.push({ gameId, reason: `Variant ${game.variant}` });
+    if (game.result === '*') return skipped.push({ gameId, reason: 'Not finished' });
+
+    const color = playerColor(game, player);
+    if (!color) return skipped.push({ gameId, reason: `${player} did not play in this game` });
+
+    const opponent = color === 'white' ? 'black' : 'white';
+    const outcome = !game.winner ? 'draws' : game.winner === color ? 'wins' : 'losses';
+    const opponentRating = game.players[opponent].rating;
+    const lastGame = {
+      gameId: game.id,
+      url: game.url,
+      playedAt: game.createdAt,
+      opponent: game.players[opponent].name,
+      result: game.result
+    };
+
+    let node = roots[color];
+    addGame(node, outcome, opponentRating, lastGame);
+
+    game.moves.slice(0, depth).forEach(move => {
+      if (!node.children.has(move.san)) {
+        node.children.set(move.san, newNode(move.san, move.ply));
+      }
+      node = node.children.get(move.san);
+      addGame(node, outcome, opponentRating, lastGame);
+    });
+  });
+
+  return {
+    player,
+    depth,
+    games: roots.white.games + roots.black.games,
+    white: roots.white.games > 0 ? toJson(roots.white) : null,
+    black: roots.black.games > 0 ? toJson(roots.black) : null,
+    skipped
+  };
+}
+
+module.exports = {
+  getRepertoireOptions,
+  buildRepertoire
+};
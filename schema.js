@@ -0,0 +1,256 @@
+/**
+ * Versioned response schema shared by both handlers
+ *
+ * Whatever path produced the data (export API, plain scrape, advanced
+ * scrape, follow mode), callers get the same document: a normalized `game`
+ * plus labeled sections, checked against response.schema.json before it
+ * is returned. Bump SCHEMA_VERSION whenever a field moves or changes meaning.
+ */
+
+const Ajv = require('ajv');
+const responseSchema = require('./response.schema.json');
+const { STANDARD_FEN, getPlies, getResult } = require('./pgn');
+const { replayGame } = require('./moves');
+const { gameUrl } = require('./lichess-api');
+const { computeAccuracy } = require('./accuracy');
+const { DEFAULT_THRESHOLDS, classifyMoves } = require('./classification');
+
+const SCHEMA_VERSION = 2;
+
+const ajv = new Ajv({ allErrors: true });
+const validate = ajv.compile(responseSchema);
+
+// Study and page documents share the definitions but not the game document's root
+const validateStudy = ajv.compile({ ...responseSchema.definitions.studyDocument, definitions: responseSchema.definitions });
+const validatePage = ajv.compile({ ...responseSchema.definitions.pageDocument, definitions: responseSchema.definitions });
+
+/**
+ * Thrown when a document does not match the response schema
+ */
+class SchemaValidationError extends Error {
+  constructor(errors) {
+    const details = errors.slice(0, 5).map(e => `${e.instancePath || '/'} ${e.message}`).join('; ');
+    super(`Response failed schema validation: ${details}`);
+    this.name = 'SchemaValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * A Lichess timestamp (ms) as ISO 8601, or null
+ */
+function toIso(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+function normalizePlayer(player = {}) {
+  return {
+    name: player.user?.name || player.name || null,
+    userId: player.user?.id || null,
+    title: player.user?.title || null,
+    rating: player.rating ?? null,
+    ratingDiff: player.ratingDiff ?? null,
+    aiLevel: player.aiLevel ?? null
+  };
+}
+
+/**
+ * Analysis entries come as { eval, best, judgment } from the export API
+ * and as { cp } or { mate } in page analysis trees
+ */
+function normalizeEval(entry) {
+  if (!entry) return null;
+
+  const cp = entry.eval ?? entry.cp ?? null;
+  const mate = entry.mate ?? null;
+  if (cp === null && mate === null) return null;
+
+  return {
+    cp,
+    mate,
+    best: entry.best || null,
+    judgment: entry.judgment?.name || null
+  };
+}
+
+/**
+ * One entry per ply, merging replayed positions, clocks and evaluations
+ */
+function normalizeMoves(pageInitData, initialFen) {
+  const plies = getPlies(pageInitData);
+  const replayed = replayGame(pageInitData);
+
+  const fenParts = initialFen.split(' ');
+  const firstColor = fenParts[1] === 'b' ? 1 : 0;
+  const firstMoveNumber = parseInt(fenParts[5]) || 1;
+
+  return plies.map((ply, index) => {
+    const position = replayed?.[index];
+    const halfMoves = index + firstColor;
+
+    return {
+      ply: index + 1,
+      moveNumber: position?.moveNumber ?? firstMoveNumber + Math.floor(halfMoves / 2),
+      color: position?.color ?? (halfMoves % 2 === 0 ? 'white' : 'black'),
+      san: ply.san,
+      uci: position?.uci ?? null,
+      fen: position?.fen ?? null,
+      clockSeconds: typeof ply.clock === 'number' ? ply.clock / 100 : null,
+      eval: normalizeEval(ply.eval),
+      check: position?.check ?? null,
+      checkmate: position?.checkmate ?? null,
+      capture: position?.capture ?? null,
+      castle: position?.castle ?? null,
+      promotion: position?.promotion ?? null,
+      material: position?.material ?? null
+    };
+  });
+}
+
+/**
+ * Build the normalized game from page-init-data
+ * @param {object} thresholds - Win% losses for move classification (see classification.js)
+ * @returns {object|null} null when the page had no game data
+ */
+function normalizeGame(pageInitData, thresholds = DEFAULT_THRESHOLDS) {
+  const game = pageInitData?.game;
+  if (!game) return null;
+
+  const initialFen = game.initialFen || STANDARD_FEN;
+  const moves = normalizeMoves(pageInitData, initialFen);
+  const accuracy = computeAccuracy(moves);
+  const classification = classifyMoves(moves, thresholds);
+  moves.forEach((move, index) => {
+    move.accuracy = accuracy ? accuracy.moves[index] : null;
+    move.classification = classification ? classification.moves[index] : null;
+  });
+
+  return {
+    id: game.id,
+    url: gameUrl(game.id),
+    variant: game.variant?.key || 'standard',
+    speed: game.speed || null,
+    perf: game.perf || null,
+    rated: Boolean(game.rated),
+    status: game.status?.name || null,
+    winner: game.winner || null,
+    result: getResult(game),
+    createdAt: toIso(game.createdAt),
+    lastMoveAt: toIso(game.lastMoveAt),
+    initialFen,
+    clock: game.clock ? { initial: game.clock.initial, increment: game.clock.increment } : null,
+    players: {
+      white: normalizePlayer(game.players?.white),
+      black: normalizePlayer(game.players?.black)
+    },
+    opening: game.opening
+      ? { eco: game.opening.eco || null, name: game.opening.name || null, ply: game.opening.ply ?? null }
+      : null,
+    moves,
+    hasAnalysis: moves.some(move => move.eval !== null),
+    // Only when every ply is evaluated, as on Lichess
+    accuracy: accuracy ? { white: accuracy.white, black: accuracy.black } : null,
+    classification: classification ? classification.summary : null
+  };
+}
+
+/**
+ * Turn a scrape result into a validated schema document
+ * @param {string} gameId - Requested game ID
+ * @param {object} gameData - { source, pageInitData, extensionData, network?, follow?, scripts?, ...raw sections }
+ * @param {boolean} raw - Include the unprocessed sections under `raw`
+ * @param {object} thresholds - Move classification thresholds, from parseThresholds()
+ * @param {object} input - The parsed gameId input (see game-input.js); its
+ *   orientation and ply are returned under `input` when it had them
+ * @throws {SchemaValidationError} If the result does not match the schema
+ */
+function buildDocument(gameId, gameData, { raw = false, thresholds, input } = {}) {
+  const { source, pageInitData, extensionData, network, follow, scripts, ...rawSections } = gameData;
+
+  const document = {
+    schemaVersion: SCHEMA_VERSION,
+    gameId,
+    source,
+    game: normalizeGame(pageInitData, thresholds),
+    extensionData: extensionData ?? null
+  };
+
+  if (input && (input.orientation || input.ply !== null)) {
+    document.input = { orientation: input.orientation, ply: input.ply };
+  }
+  if (network) document.network = network;
+  if (follow) document.follow = follow;
+  if (scripts) document.scripts = scripts;
+  if (raw) document.raw = { pageInitData, ...rawSections };
+
+  if (!validate(document)) {
+    throw new SchemaValidationError(validate.errors);
+  }
+
+  return document;
+}
+
+/**
+ * Wrap a normalized study (see study.js) in a validated document
+ * @throws {SchemaValidationError} If the study does not match the schema
+ */
+function buildStudyDocument(study) {
+  const document = {
+    schemaVersion: SCHEMA_VERSION,
+    source: 'api',
+    study
+  };
+
+  if (!validateStudy(document)) {
+    throw new SchemaValidationError(validateStudy.errors);
+  }
+
+  return document;
+}
+
+/**
+ * Turn a page scraped with its extractor (see page-extractors.js) into a validated document
+ * @param {object} data - From scrapePage(): { source, pageInitData, extensionData, network?, scripts?, ...raw sections }
+ * @param {boolean} raw - Include the unprocessed sections under `raw`
+ * @throws {SchemaValidationError} If the extractor's output does not match the schema
+ */
+function buildPageDocument(extractor, target, data, { raw = false } = {}) {
+  const { source, extensionData, network, scripts, ...rawSections } = data;
+
+  const document = {
+    schemaVersion: SCHEMA_VERSION,
+    source,
+    pageType: extractor.type,
+    url: extractor.url(target),
+    page: extractor.normalize(data, target),
+    extensionData
+  };
+
+  if (network) document.network = network;
+  if (scripts) document.scripts = scripts;
+  if (raw) document.raw = rawSections;
+
+  if (!validatePage(document)) {
+    throw new SchemaValidationError(validatePage.errors);
+  }
+
+  return document;
+}
+
+/**
+ * Wrap a scraper so it resolves to a schema document
+ */
+function toDocumentScraper(scrapeGame, options) {
+  return async (session, gameId) => buildDocument(gameId, await scrapeGame(session, gameId), options);
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  SchemaValidationError,
+  normalizeGame,
+  buildDocument,
+  buildStudyDocument,
+  buildPageDocument,
+  toDocumentScraper,
+  toIso
+};
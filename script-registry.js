@@ -0,0 +1,282 @@
+/**
+ * Named, versioned extraction scripts for the advanced function
+ *
+ * Instead of posting JavaScript in `customScript`, a request picks scripts
+ * by name: `scripts: ["accuracy", {"name": "analysis", "params": {...}}]`,
+ * optionally pinned to a version with "name@version". Each script runs in
+ * the page with its validated parameters and its return value comes back
+ * under `scripts.<name>` in the response.
+ *
+ * `run` is serialized into the page, so it must not use anything from
+ * this module's scope.
+ */
+
+const SCRIPTS = [
+  {
+    name: 'simple',
+    version: 1,
+    description: 'Move list and data-eval attributes as rendered on the page',
+    params: {},
+    run: () => ({
+      moves: Array.from(document.querySelectorAll('.moves move')).map(move => move.textContent),
+      evaluations: Array.from(document.querySelectorAll('[data-eval]')).map(el => el.getAttribute('data-eval'))
+    })
+  },
+  {
+    name: 'accuracy',
+    version: 1,
+    description: 'Deprecated, use game.accuracy. Simplified per-side accuracy from the rendered evaluations (100 - eval change x lossMultiplier)',
+    params: {
+      lossMultiplier: { type: 'number', default: 10, min: 0, description: 'Accuracy points lost per pawn of evaluation change' }
+    },
+    run: ({ lossMultiplier }) => {
+      const sides = {
+        white: { total: 0, count: 0, accuracy: 0 },
+        black: { total: 0, count: 0, accuracy: 0 }
+      };
+      let previousEval = 0;
+
+      document.querySelectorAll('[data-eval]').forEach((elem, index) => {
+        const evalValue = parseFloat(elem.getAttribute('data-eval'));
+        if (isNaN(evalValue)) return;
+
+        const side = sides[index % 2 === 0 ? 'white' : 'black'];
+        side.total += Math.max(0, 100 - Math.abs(evalValue - previousEval) * lossMultiplier);
+        side.count += 1;
+        previousEval = evalValue;
+      });
+
+      Object.values(sides).forEach(side => {
+        if (side.count > 0) side.accuracy = side.total / side.count;
+      });
+      return sides;
+    }
+  },
+  {
+    name: 'analysis',
+    version: 1,
+    description: 'Deprecated, use the moves\' classification. Categorize moves by evaluation change, from the mover\'s point of view (in pawns)',
+    params: {
+      blunderThreshold: { type: 'number', default: 3, min: 0, description: 'Loss that makes a blunder' },
+      mistakeThreshold: { type: 'number', default: 1.5, min: 0, description: 'Loss that makes a mistake' },
+      inaccuracyThreshold: { type: 'number', default: 0.5, min: 0, description: 'Loss that makes an inaccuracy' },
+      brilliantThreshold: { type: 'number', default: 1, min: 0, description: 'Gain that makes a brilliant move' }
+    },
+    run: ({ blunderThreshold, mistakeThreshold, inaccuracyThreshold, brilliantThreshold }) => {
+      const analysis = { moves: [], blunders: [], mistakes: [], inaccuracies: [], brilliant: [], best: [] };
+      const moveElements = document.querySelectorAll('.moves move');
+      let previousEval = 0;
+
+      document.querySelectorAll('[data-eval]').forEach((evalElem, index) => {
+        const evalValue = parseFloat(evalElem.getAttribute('data-eval'));
+        if (isNaN(evalValue)) return;
+
+        const evalDiff = evalValue - previousEval;
+        const color = index % 2 === 0 ? 'white' : 'black';
+        const moveData = {
+          number: Math.floor(index / 2) + 1,
+          color,
+          move: moveElements[index] ? moveElements[index].textContent : '',
+          eval: evalValue,
+          evalDiff,
+          category: 'good'
+        };
+
+        const gain = color === 'white' ? evalDiff : -evalDiff;
+        if (gain < -blunderThreshold) {
+          moveData.category = 'blunder';
+          analysis.blunders.push(moveData);
+        } else if (gain < -mistakeThreshold) {
+          moveData.category = 'mistake';
+          analysis.mistakes.push(moveData);
+        } else if (gain < -inaccuracyThreshold) {
+          moveData.category = 'inaccuracy';
+          analysis.inaccuracies.push(moveData);
+        } else if (gain > brilliantThreshold) {
+          moveData.category = 'brilliant';
+          analysis.brilliant.push(moveData);
+        } else if (gain > 0) {
+          moveData.category = 'best';
+          analysis.best.push(moveData);
+        }
+
+        analysis.moves.push(moveData);
+        previousEval = evalValue;
+      });
+
+      analysis.summary = {
+        totalMoves: analysis.moves.length,
+        blunders: analysis.blunders.length,
+        mistakes: analysis.mistakes.length,
+        inaccuracies: analysis.inaccuracies.length,
+        brilliant: analysis.brilliant.length,
+        best: analysis.best.length
+      };
+      return analysis;
+    }
+  },
+  {
+    name: 'opening',
+    version: 1,
+    description: 'Opening from page-init-data and the first moves as rendered',
+    params: {
+      maxMoves: { type: 'integer', default: 10, min: 1, max: 100, description: 'How many moves to return' }
+    },
+    run: ({ maxMoves }) => {
+      let opening = null;
+      const pageInitScript = document.getElementById('page-init-data');
+      if (pageInitScript) {
+        try {
+          const data = JSON.parse(pageInitScript.textContent);
+          if (data.game && data.game.opening) {
+            opening = { name: data.game.opening.name, eco: data.game.opening.eco, ply: data.game.opening.ply };
+          }
+        } catch (e) {
+          // No usable page-init-data
+        }
+      }
+
+      const firstMoves = Array.from(document.querySelectorAll('.moves move'))
+        .slice(0, maxMoves)
+        .map(move => move.textContent);
+
+      return { opening, firstMoves };
+    }
+  }
+];
+
+/**
+ * Thrown when a request names an unknown script or passes bad parameters
+ */
+class ScriptRegistryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScriptRegistryError';
+    this.status = 400;
+  }
+}
+
+/**
+ * The registry without the code: [{ name, version, description, params }]
+ */
+function listScripts() {
+  return SCRIPTS.map(({ name, version, description, params }) => ({ name, version, description, params }));
+}
+
+function findScript(name, version) {
+  const versions = SCRIPTS.filter(script => script.name === name);
+  if (versions.length === 0) {
+    throw new ScriptRegistryError(`Unknown script: ${name} (available: ${[...new Set(SCRIPTS.map(s => s.name))].join(', ')})`);
+  }
+
+  if (version === undefined) {
+    return versions.reduce((latest, script) => script.version > latest.version ? script : latest);
+  }
+
+  const script = versions.find(s => s.version === version);
+  if (!script) {
+    throw new ScriptRegistryError(`Unknown version of ${name}: ${version} (available: ${versions.map(s => s.version).join(', ')})`);
+  }
+  return script;
+}
+
+function checkParam(scriptName, name, spec, value) {
+  if (value === undefined) return spec.default;
+
+  const where = `${scriptName}.${name}`;
+  if (spec.type === 'number' || spec.type === 'integer') {
+    const number = typeof value === 'string' ? Number(value) : value;
+    if (typeof number !== 'number' || isNaN(number)) throw new ScriptRegistryError(`${where} must be a number`);
+    if (spec.type === 'integer' && !Number.isInteger(number)) throw new ScriptRegistryError(`${where} must be an integer`);
+    if (spec.min !== undefined && number < spec.min) throw new ScriptRegistryError(`${where} must be at least ${spec.min}`);
+    if (spec.max !== undefined && number > spec.max) throw new ScriptRegistryError(`${where} must be at most ${spec.max}`);
+    return number;
+  }
+
+  if (spec.type === 'boolean') {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    throw new ScriptRegistryError(`${where} must be true or false`);
+  }
+
+  if (typeof value !== 'string') throw new ScriptRegistryError(`${where} must be a string`);
+  return value;
+}
+
+/**
+ * Turn a request's `scripts` into scripts ready to run
+ * @param {Array|string} selection - Names ("accuracy", "accuracy@1"), { name, version?, params? }
+ *   objects, or a comma-separated string of names (query string)
+ * @returns {object[]} [{ name, version, params, run }]
+ * @throws {ScriptRegistryError} On unknown scripts, versions or parameters
+ */
+function resolveScripts(selection) {
+  if (!selection) return [];
+
+  const entries = typeof selection === 'string'
+    ? selection.split(',').map(name => name.trim()).filter(Boolean)
+    : selection;
+  if (!Array.isArray(entries)) {
+    throw new ScriptRegistryError('scripts must be an array of script names or { name, params } objects');
+  }
+
+  const resolved = entries.map(entry => {
+    const request = typeof entry === 'string' ? { name: entry } : entry;
+    if (!request || typeof request.name !== 'string') {
+      throw new ScriptRegistryError('Each script needs a name');
+    }
+
+    const [name, pinned] = request.name.split('@');
+    const version = request.version ?? (pinned !== undefined ? parseInt(pinned) : undefined);
+    const script = findScript(name, version);
+
+    const given = request.params || {};
+    const unknown = Object.keys(given).filter(key => !Object.hasOwn(script.params, key));
+    if (unknown.length > 0) {
+      throw new ScriptRegistryError(`Unknown parameters for ${name}: ${unknown.join(', ')}`);
+    }
+
+    const params = {};
+    Object.entries(script.params).forEach(([key, spec]) => {
+      params[key] = checkParam(name, key, spec, given[key]);
+    });
+
+    return { name, version: script.version, params, run: script.run };
+  });
+
+  const names = resolved.map(script => script.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new ScriptRegistryError(`Script selected twice: ${duplicate}`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Run resolved scripts in a page, one after the other. A failing script
+ * gets an `error` and does not stop the others.
+ * @returns {object} { <name>: { version, params, result } or { version, params, error } }
+ */
+async function runScripts(page, scripts) {
+  const results = {};
+
+  for (const script of scripts) {
+    const section = { version: script.version, params: script.params };
+    try {
+      section.result = (await page.evaluate(script.run, script.params)) ?? null;
+    } catch (e) {
+      section.error = e.message;
+    }
+    results[script.name] = section;
+  }
+
+  return results;
+}
+
+module.exports = {
+  ScriptRegistryError,
+  listScripts,
+  resolveScripts,
+  runScripts
+};
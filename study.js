@@ -0,0 +1,168 @@
+/**
+ * Lichess studies and broadcast rounds
+ *
+ * A study, one of its chapters, or a broadcast round is fetched from
+ * Lichess's PGN export (no browser needed): one game per chapter, with
+ * variations, comments, NAGs and the arrows and circles drawn on the board.
+ * Each chapter becomes a move tree (see pgn-parser.js), replayed for FEN and
+ * UCI where chess.js knows the variant. Broadcast rounds are studies too:
+ * the round ID is the study ID and every board is a chapter.
+ */
+
+const { LICHESS_BASE_URL } = require('./lichess-api');
+const { fetchLichess } = require('./upstream');
+const { ScraperError } = require('./errors');
+const { LICHESS_HOST_PATTERN } = require('./game-input');
+const { STANDARD_FEN } = require('./pgn');
+const { SUPPORTED_VARIANTS, replayTree } = require('./moves');
+const { splitPgnGames, parsePgn } = require('./pgn-parser');
+const { buildStudyDocument } = require('./schema');
+const { serveDocument } = require('./page-scraper');
+
+const ID_PATTERN = /^[a-zA-Z0-9]{8}$/;
+
+const STUDY_EXAMPLES = 'e.g. abcd1234, abcd1234/efgh5678, https://lichess.org/study/abcd1234/efgh5678 ' +
+  'or https://lichess.org/broadcast/tour-slug/round-slug/abcd1234';
+
+/**
+ * Parse a study ID, "studyId/chapterId", or a study, chapter or broadcast round URL
+ * @returns {object} { studyId, chapterId, broadcast }
+ * @throws {ScraperError} invalid_request for anything else
+ */
+function parseStudyInput(value) {
+  const invalid = new ScraperError('invalid_request', `Not a Lichess study, chapter or broadcast round: ${String(value).slice(0, 100)} (${STUDY_EXAMPLES})`);
+  if (typeof value !== 'string') throw invalid;
+
+  let rest = value.trim().replace(/[?#].*$/, '');
+  const host = rest.match(LICHESS_HOST_PATTERN);
+  if (host) rest = rest.slice(host[0].length);
+
+  const segments = rest.split('/').filter(segment => segment !== '');
+  let ids;
+  if (segments[0] === 'study' && segments.length <= 3) {
+    ids = { studyId: segments[1], chapterId: segments[2], broadcast: false };
+  } else if (segments[0] === 'broadcast' && (segments.length === 4 || segments.length === 5)) {
+    // broadcast/{tour slug}/{round slug}/{round ID}[/{chapter ID}]
+    ids = { studyId: segments[3], chapterId: segments[4], broadcast: true };
+  } else if (!host && segments.length <= 2) {
+    ids = { studyId: segments[0], chapterId: segments[1], broadcast: false };
+  } else {
+    throw invalid;
+  }
+
+  if (!ID_PATTERN.test(ids.studyId || '') || (ids.chapterId !== undefined && !ID_PATTERN.test(ids.chapterId))) {
+    throw invalid;
+  }
+
+  return { studyId: ids.studyId, chapterId: ids.chapterId || null, broadcast: ids.broadcast };
+}
+
+/**
+ * Read the `study` parameter (see parseStudyInput). Returns null when the request has none.
+ * @returns {object} { studyId, chapterId, broadcast }
+ * @throws {ScraperError} invalid_request when it is not a study
+ */
+function getStudyOptions(req) {
+  const value = req.body?.study ?? req.query.study;
+  if (value === undefined || value === null || value === '') return null;
+  return parseStudyInput(value);
+}
+
+/**
+ * Fetch the PGN of a study, a chapter or a broadcast round
+ * @throws {ScraperError} study_not_found when Lichess has no such (public) study
+ */
+async function fetchStudyPgn({ studyId, chapterId, broadcast }) {
+  const path = broadcast && !chapterId
+    ? `/api/broadcast/round/${studyId}.pgn`
+    : `/api/study/${studyId}${chapterId ? `/${chapterId}` : ''}.pgn`;
+  const params = new URLSearchParams({ clocks: 'true', comments: 'true', variations: 'true', orientation: 'true' });
+  const url = `${LICHESS_BASE_URL}${path}?${params}`;
+  console.log(`Fetching study PGN: ${url}`);
+
+  // Throttled, and retried if Lichess answers 429 or 5xx
+  const response = await fetchLichess(url, 'application/x-chess-pgn', `study ${studyId}`);
+
+  if (response.status === 404 || response.status === 403) {
+    throw new ScraperError('study_not_found', `Study not found or private: ${studyId}${chapterId ? `/${chapterId}` : ''}`);
+  }
+  if (!response.ok) {
+    throw new ScraperError('upstream_blocked', `Lichess returned ${response.status} for study ${studyId}`);
+  }
+
+  return response.text();
+}
+
+/**
+ * "King of the Hill" -> "kingOfTheHill", as in the game documents
+ */
+function variantKey(name) {
+  if (!name) return 'standard';
+  const words = name.split(/[\s-]+/).filter(Boolean);
+  return words.map((word, index) => index === 0
+    ? word.toLowerCase()
+    : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()).join('');
+}
+
+function normalizeChapter(pgn) {
+  const parsed = parsePgn(pgn);
+  const { tags } = parsed;
+
+  const url = tags.ChapterURL || tags.GameURL || null;
+  const lastSegment = url ? url.replace(/[?#].*$/, '').split('/').pop() : null;
+  const variant = variantKey(tags.Variant);
+  const initialFen = tags.FEN || STANDARD_FEN;
+
+  replayTree(parsed.moves, initialFen, SUPPORTED_VARIANTS.includes(variant));
+
+  const players = tags.White && tags.Black ? `${tags.White} - ${tags.Black}` : null;
+
+  return {
+    id: ID_PATTERN.test(lastSegment || '') ? lastSegment : null,
+    name: tags.ChapterName || players || tags.Event || null,
+    url,
+    tags,
+    orientation: (tags.Orientation || '').toLowerCase() === 'black' ? 'black' : 'white',
+    variant,
+    initialFen,
+    result: parsed.result,
+    comment: parsed.comment,
+    shapes: parsed.shapes,
+    moves: parsed.moves,
+    pgn: `${pgn}\n`
+  };
+}
+
+/**
+ * Turn a study's PGN into { id, chapterId, broadcast, name, url, chapters }
+ */
+function normalizeStudy(options, text) {
+  const chapters = splitPgnGames(text).map(normalizeChapter);
+  const first = chapters.length > 0 ? chapters[0].tags : {};
+
+  return {
+    id: options.studyId,
+    chapterId: options.chapterId,
+    broadcast: options.broadcast,
+    name: first.StudyName || first.Event || null,
+    url: `${LICHESS_BASE_URL}/study/${options.studyId}`,
+    chapters
+  };
+}
+
+/**
+ * Respond to a study request with the study document, or its PGN with format=pgn
+ */
+async function handleStudy(options, req, res, format) {
+  return serveDocument(req, res, async () => {
+    const text = await fetchStudyPgn(options);
+    return { body: format === 'pgn' ? text : buildStudyDocument(normalizeStudy(options, text)) };
+  }, { format, what: 'study', context: { study: options.studyId } });
+}
+
+module.exports = {
+  parseStudyInput,
+  getStudyOptions,
+  normalizeStudy,
+  handleStudy
+};
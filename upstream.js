@@ -0,0 +1,188 @@
+/**
+ * Throttling and retries for requests to Lichess
+ *
+ * Every request to Lichess (page loads and API calls, from any handler or
+ * batch on this instance) first takes a token from one shared bucket, so
+ * the instance never exceeds LICHESS_REQUESTS_PER_SECOND. Requests that
+ * come back 429 or 5xx are retried with exponential backoff and jitter,
+ * waiting as long as Lichess asks in Retry-After.
+ */
+
+const { ScraperError } = require('./errors');
+
+const REQUESTS_PER_SECOND = parseFloat(process.env.LICHESS_REQUESTS_PER_SECOND || '1');
+const BURST = parseInt(process.env.LICHESS_BURST || '3');
+const MAX_RETRIES = parseInt(process.env.LICHESS_MAX_RETRIES || '3');
+const RETRY_BASE_MS = parseInt(process.env.LICHESS_RETRY_BASE_MS || '1000');
+const RETRY_MAX_MS = parseInt(process.env.LICHESS_RETRY_MAX_MS || '30000');
+
+// Per attempt, for API calls made with fetchLichess
+const API_TIMEOUT_MS = parseInt(process.env.LICHESS_API_TIMEOUT_MS || '15000');
+
+/**
+ * Lichess kept answering 429 (or asked us to wait longer than we can)
+ */
+class RateLimitedError extends ScraperError {
+  constructor(message, retryAfter) {
+    super('rate_limited', message, { retryAfter });
+    this.name = 'RateLimitedError';
+  }
+}
+
+/**
+ * Lichess answered with a status worth retrying (429 or 5xx)
+ */
+class UpstreamStatusError extends Error {
+  constructor(message, status, retryAfter = null) {
+    super(message);
+    this.name = 'UpstreamStatusError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Token bucket: `take()` resolves once a token is free. Waiters are served in order.
+ */
+function createTokenBucket({ ratePerSecond, burst }) {
+  let tokens = burst;
+  let updatedAt = Date.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + (now - updatedAt) / 1000 * ratePerSecond);
+    updatedAt = now;
+  }
+
+  return {
+    take() {
+      queue = queue.then(async () => {
+        refill();
+        if (tokens < 1) {
+          await sleep((1 - tokens) / ratePerSecond * 1000);
+          refill();
+        }
+        tokens -= 1;
+      });
+      return queue;
+    }
+  };
+}
+
+const bucket = createTokenBucket({ ratePerSecond: REQUESTS_PER_SECOND, burst: BURST });
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Retry-After is either a number of seconds or an HTTP date
+ * @returns {number|null} Seconds to wait
+ */
+function parseRetryAfter(header) {
+  if (!header) return null;
+  if (/^\d+$/.test(header.trim())) return parseInt(header);
+
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Throw if an upstream status should be retried
+ * @param {number} status - HTTP status
+ * @param {string} retryAfterHeader - The Retry-After header, if any
+ * @param {string} what - Description for the error message
+ */
+function checkUpstreamStatus(status, retryAfterHeader, what) {
+  if (status === 429 || status >= 500) {
+    throw new UpstreamStatusError(`Lichess returned ${status} for ${what}`, status, parseRetryAfter(retryAfterHeader));
+  }
+}
+
+/**
+ * Run `request` (one upstream call) through the throttle, retrying on
+ * UpstreamStatusError with exponential backoff and full jitter.
+ * @throws {RateLimitedError} When the retries run out on a 429, or
+ *   Retry-After asks for longer than LICHESS_RETRY_MAX_MS
+ */
+async function withRetry(request) {
+  for (let attempt = 0; ; attempt++) {
+    await bucket.take();
+
+    try {
+      return await request();
+    } catch (error) {
+      if (!(error instanceof UpstreamStatusError)) throw error;
+
+      const backoff = Math.random() * Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+      const delay = error.retryAfter !== null ? error.retryAfter * 1000 : backoff;
+      const outOfRetries = attempt >= MAX_RETRIES || delay > RETRY_MAX_MS;
+
+      if (outOfRetries) {
+        if (error.status !== 429) throw error;
+        const retryAfter = Math.max(1, error.retryAfter ?? Math.ceil(RETRY_MAX_MS / 1000));
+        throw new RateLimitedError(`Lichess is rate limiting us, retry in ${retryAfter}s`, retryAfter);
+      }
+
+      console.warn(`${error.message}, retrying in ${Math.round(delay)}ms (attempt ${attempt + 1} of ${MAX_RETRIES})`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * page.goto() with throttling and retries. A 404, 429 or 5xx page still
+ * "loads", so the navigation response status is checked explicitly.
+ * @param {object} notFound - The error code for a 404 and what was not found,
+ *   e.g. { notFound: 'user_not_found', what: 'User' }; a game by default
+ * @returns {HTTPResponse} The navigation response
+ * @throws {ScraperError} game_not_found (or `notFound`) on 404, upstream_blocked on 403
+ */
+async function navigate(page, url, options, { notFound = 'game_not_found', what = 'Game' } = {}) {
+  const response = await withRetry(async () => {
+    const attempt = await page.goto(url, options);
+    if (attempt) {
+      checkUpstreamStatus(attempt.status(), attempt.headers()['retry-after'], url);
+    }
+    return attempt;
+  });
+
+  if (response?.status() === 404) {
+    throw new ScraperError(notFound, `${what} not found: ${url}`);
+  }
+  if (response?.status() === 403) {
+    throw new ScraperError('upstream_blocked', `Lichess refused access to ${url}`);
+  }
+  return response;
+}
+
+/**
+ * fetch() a Lichess API URL with throttling, retries and a timeout per
+ * attempt. Other error statuses (404, 403, ...) are left to the caller.
+ * @param {string} url - The full URL
+ * @param {string} accept - The Accept header, e.g. "application/json"
+ * @param {string} what - Description for error messages, e.g. "export of Bm5DQUPZ"
+ * @returns {Response} The response
+ */
+function fetchLichess(url, accept, what) {
+  return withRetry(async () => {
+    const attempt = await fetch(url, {
+      headers: { 'Accept': accept },
+      signal: AbortSignal.timeout(API_TIMEOUT_MS)
+    });
+    checkUpstreamStatus(attempt.status, attempt.headers.get('retry-after'), what);
+    return attempt;
+  });
+}
+
+module.exports = {
+  RateLimitedError,
+  UpstreamStatusError,
+  createTokenBucket,
+  parseRetryAfter,
+  checkUpstreamStatus,
+  withRetry,
+  fetchLichess,
+  navigate
+};
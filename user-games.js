@@ -0,0 +1,151 @@
+/**
+ * Import a user's games by username
+ *
+ * Game IDs come from Lichess's user games export (/api/games/user/{name},
+ * newest first, as ndjson), a page at a time. Each page returns a cursor:
+ * pass it back to get the next page, so a long import can be resumed from
+ * wherever it stopped. GAME_LIST_URL points the listing at another host,
+ * e.g. a local stand-in server for testing.
+ */
+
+const { LICHESS_BASE_URL } = require('./lichess-api');
+const { fetchLichess } = require('./upstream');
+const { ScraperError } = require('./errors');
+
+const GAME_LIST_URL = (process.env.GAME_LIST_URL || `${LICHESS_BASE_URL}/api/games/user`).replace(/\/$/, '');
+
+const PERF_TYPES = [
+  'ultraBullet', 'bullet', 'blitz', 'rapid', 'classical', 'correspondence',
+  'chess960', 'crazyhouse', 'antichess', 'atomic', 'horde', 'kingOfTheHill', 'racingKings', 'threeCheck'
+];
+
+/**
+ * A date as Unix milliseconds: either milliseconds already, or anything Date.parse reads
+ */
+function parseDate(name, value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const time = /^\d+$/.test(String(value)) ? parseInt(value) : Date.parse(value);
+  if (isNaN(time)) {
+    throw new ScraperError('invalid_request', `${name} must be a date (e.g. 2025-01-31) or Unix milliseconds`);
+  }
+  return time;
+}
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    if (typeof cursor.until === 'number' && typeof cursor.fetched === 'number') return cursor;
+  } catch (e) {
+    // Reported below
+  }
+  throw new ScraperError('invalid_request', 'cursor is not one this function returned');
+}
+
+/**
+ * Read user import parameters from a request.
+ * Returns null when the request does not name a `user`.
+ * @param {number} maxPageSize - Largest page (the batch size limit)
+ * @throws {ScraperError} invalid_request on bad parameters
+ */
+function getUserImportOptions(req, maxPageSize) {
+  const param = name => req.body?.[name] ?? req.query[name];
+
+  const username = param('user');
+  if (!username) return null;
+  if (!/^[\w-]{2,30}$/.test(username)) {
+    throw new ScraperError('invalid_request', `Not a Lichess username: ${username}`);
+  }
+
+  const perfTypes = param('perfType')
+    ? (Array.isArray(param('perfType')) ? param('perfType') : String(param('perfType')).split(',')).map(p => p.trim())
+    : [];
+  const unknown = perfTypes.filter(perf => !PERF_TYPES.includes(perf));
+  if (unknown.length > 0) {
+    throw new ScraperError('invalid_request', `Unknown perfType: ${unknown.join(', ')} (use ${PERF_TYPES.join(', ')})`);
+  }
+
+  const max = param('max') !== undefined ? parseInt(param('max')) : null;
+  if (max !== null && !(max >= 1)) {
+    throw new ScraperError('invalid_request', 'max must be a positive number of games');
+  }
+
+  const pageSize = parseInt(param('pageSize') || maxPageSize);
+  if (!(pageSize >= 1 && pageSize <= maxPageSize)) {
+    throw new ScraperError('invalid_request', `pageSize must be between 1 and ${maxPageSize}`);
+  }
+
+  const since = parseDate('since', param('since'));
+  const until = parseDate('until', param('until'));
+  if (since !== null && until !== null && since > until) {
+    throw new ScraperError('invalid_request', 'since must be before until');
+  }
+
+  return {
+    username,
+    since,
+    until,
+    perfTypes,
+    rated: param('rated') === true || param('rated') === 'true',
+    max,
+    pageSize,
+    listOnly: param('listOnly') === true || param('listOnly') === 'true',
+    cursor: param('cursor') ? decodeCursor(param('cursor')) : null
+  };
+}
+
+/**
+ * List one page of a user's game IDs, newest first
+ * @param {object} options - From getUserImportOptions()
+ * @returns {object} { gameIds, cursor } where cursor is null after the last page
+ * @throws {ScraperError} user_not_found when Lichess has no such user
+ */
+async function listUserGames(options) {
+  const fetched = options.cursor ? options.cursor.fetched : 0;
+  const until = options.cursor ? options.cursor.until : options.until;
+  const wanted = options.max !== null ? Math.min(options.pageSize, options.max - fetched) : options.pageSize;
+  if (wanted <= 0) return { gameIds: [], cursor: null };
+
+  const params = new URLSearchParams({ max: String(wanted), moves: 'false', tags: 'false' });
+  if (options.since !== null) params.set('since', String(options.since));
+  if (until !== null) params.set('until', String(until));
+  if (options.perfTypes.length > 0) params.set('perfType', options.perfTypes.join(','));
+  if (options.rated) params.set('rated', 'true');
+
+  const url = `${GAME_LIST_URL}/${encodeURIComponent(options.username)}?${params}`;
+  console.log(`Listing games: ${url}`);
+
+  // Throttled, and retried if Lichess answers 429 or 5xx
+  const response = await fetchLichess(url, 'application/x-ndjson', `games of ${options.username}`);
+
+  if (response.status === 404) {
+    throw new ScraperError('user_not_found', `User not found: ${options.username}`);
+  }
+  if (!response.ok) {
+    throw new ScraperError('upstream_blocked', `Lichess returned ${response.status} listing games of ${options.username}`);
+  }
+
+  const games = (await response.text())
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+
+  // Fewer games than asked for means there are no more
+  const total = fetched + games.length;
+  const more = games.length === wanted && (options.max === null || total < options.max);
+  const cursor = more
+    ? encodeCursor({ until: games[games.length - 1].createdAt - 1, fetched: total })
+    : null;
+
+  return { gameIds: games.map(game => game.id), cursor };
+}
+
+module.exports = {
+  PERF_TYPES,
+  getUserImportOptions,
+  listUserGames
+};